@@ -0,0 +1,111 @@
+/* GENERATED by scripts/build-grade-bundle.js from netlify/functions/lib/grading.js
+   — edit that file and run `npm run bundle:grade`, never this copy */
+// netlify/functions/lib/grading.js
+//
+// PURPOSE:
+// - The one fiduciary letter grade: summarize.js, the memo, Elena, the
+//   scenarios and the pages all grade through here, so the dashboard and the
+//   memo cannot disagree
+// - Explains itself: every rule that moved the score is listed with its
+//   reason ("housing share 41% > 40%: −18")
+// - Runs in Node (require) and in the browser (window.RSGrade): the pages
+//   load js/rs-grade.js, a copy made by `npm run bundle:grade` — edit this
+//   file, never the copy
+//
+// INPUT (the bridge snapshot, monthly $):
+//   income, expenses (spending, not the savings transfer), savings (the
+//   monthly savings transfer), housing — the balance already saved
+//   (savingsBalance) is not graded, it only sets computeKPIs' runway
+//   → ratios() gives the same totalShare / housingShare / freePost as
+//     lib/fiduciary.js computeKPIs; grade() also takes computeKPIs output
+//
+// RULES (start at 92, clamp 0–100):
+//   commitment share  ≥ 85% −30 · ≥ 70% −15 · else +4
+//   housing share     > 40% −18 · > 33% −8 · else +4
+//   free cash flow    < $0 −30 · < 10% of income −10 · ≥ 20% +4
+//   savings rate      < 10% −8 · ≥ 20% +4
+//
+// OUTPUT: { letter, score, base, adjustments:[{ rule, points, value, reason }] }
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.RSGrade = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const BASE = 92;
+
+  // worst → best (compare grades by index)
+  const GRADES = ["F", "D", "D+", "C-", "C", "C+", "B-", "B", "B+", "A-", "A", "A+"];
+  const CUTS = [[98, "A+"], [92, "A"], [88, "A-"], [82, "B+"], [76, "B"], [72, "B-"], [66, "C+"], [60, "C"], [55, "C-"], [50, "D+"], [45, "D"]];
+
+  const LABELS = {
+    en: { commitment: "commitment share", housing: "housing share", freeCash: "free cash flow", savings: "savings rate", ofIncome: "of income" },
+    es: { commitment: "participación de compromisos", housing: "participación de vivienda", freeCash: "flujo libre", savings: "tasa de ahorro", ofIncome: "del ingreso" }
+  };
+  const LOCALES = { en: "en-US", es: "es-US" };
+
+  function letterFor(score) {
+    for (const [min, letter] of CUTS) if (score >= min) return letter;
+    return "F";
+  }
+
+  // bridge snapshot → the grade's inputs (same math as computeKPIs)
+  function ratios(s) {
+    const income = +s.income || 0;
+    const expenses = +s.expenses || 0;
+    const savings = +s.savings || 0;
+    const housing = +s.housing || 0;
+    return {
+      income,
+      savings,
+      totalShare: income > 0 ? (expenses + savings + housing) / income : 1,
+      housingShare: income > 0 ? housing / income : 0,
+      freePost: income - expenses - savings - housing
+    };
+  }
+
+  // k: ratios() or computeKPIs() output; lang "en" | "es" for the reasons
+  function grade(k, lang) {
+    const L = LABELS[lang] || LABELS.en;
+    const locale = LOCALES[lang] || LOCALES.en;
+    const pct = (x) => `${Math.round(x * 100)}%`;
+    const usd = (x) => new Intl.NumberFormat(locale, { style: "currency", currency: "USD", maximumFractionDigits: 0 }).format(x);
+    const signed = (n) => (n > 0 ? `+${n}` : `−${Math.abs(n)}`);
+
+    const adjustments = [];
+    const add = (rule, points, value, test) => {
+      adjustments.push({ rule, points, value, reason: `${test}: ${signed(points)}` });
+    };
+
+    const ts = k.totalShare;
+    if (ts >= 0.85) add("commitment_share", -30, ts, `${L.commitment} ${pct(ts)} ≥ 85%`);
+    else if (ts >= 0.70) add("commitment_share", -15, ts, `${L.commitment} ${pct(ts)} ≥ 70%`);
+    else add("commitment_share", 4, ts, `${L.commitment} ${pct(ts)} < 70%`);
+
+    const hs = k.housingShare;
+    if (hs > 0.40) add("housing_share", -18, hs, `${L.housing} ${pct(hs)} > 40%`);
+    else if (hs > 0.33) add("housing_share", -8, hs, `${L.housing} ${pct(hs)} > 33%`);
+    else add("housing_share", 4, hs, `${L.housing} ${pct(hs)} ≤ 33%`);
+
+    const fc = k.freePost;
+    const fcShare = k.income > 0 ? fc / k.income : 0;
+    if (fc < 0) add("free_cash_flow", -30, fc, `${L.freeCash} ${usd(fc)} < ${usd(0)}`);
+    else if (k.income > 0 && fcShare < 0.10) add("free_cash_flow", -10, fcShare, `${L.freeCash} ${pct(fcShare)} ${L.ofIncome} < 10%`);
+    else if (k.income > 0 && fcShare >= 0.20) add("free_cash_flow", 4, fcShare, `${L.freeCash} ${pct(fcShare)} ${L.ofIncome} ≥ 20%`);
+
+    const sr = k.income > 0 ? k.savings / k.income : 0;
+    if (sr < 0.10) add("savings_rate", -8, sr, `${L.savings} ${pct(sr)} < 10%`);
+    else if (sr >= 0.20) add("savings_rate", 4, sr, `${L.savings} ${pct(sr)} ≥ 20%`);
+
+    const raw = adjustments.reduce((g, a) => g + a.points, BASE);
+    const score = Math.max(0, Math.min(100, raw));
+    return { letter: letterFor(score), score, base: BASE, adjustments };
+  }
+
+  function gradeSnapshot(s, lang) {
+    return grade(ratios(s), lang);
+  }
+
+  return { GRADES, letterFor, ratios, grade, gradeSnapshot };
+});
@@ -0,0 +1,153 @@
+/* RealtySaSS session helper
+   - Stores the session returned by /api/verify-code in localStorage (realtysass.session)
+   - RSSession.authFetch(url, init) adds "Authorization: Bearer <token>",
+     refreshes once through /api/refresh-session on 401, then retries
+   - Sends the user back to /verify when the refresh token is gone or expired
+   - RSProfile.push()/pull() sync the dashboard localStorage keys with /api/profile
+     · the first push of a page load waits for a pull, so a new device never
+       PUTs its defaults over the saved dashboard
+     · every PUT carries the server version this browser last saw; a 409
+       (changed on another device) fires "rsprofile:conflict" on window with
+       { dashboard } and saves nothing — RSProfile.resolve(dashboard, keepLocal)
+       settles it
+*/
+(function(){
+  "use strict";
+  const KEY = "realtysass.session";
+  const API_BASE = "https://theorozcorealty.netlify.app/api";
+  const VERIFY_PAGE = "/verify";
+  // server dashboard version the local keys are based on (absent = never synced)
+  const VERSION_KEY = "realtysass.dashboard.version";
+
+  function get(){
+    try{ return JSON.parse(localStorage.getItem(KEY)||"null"); }catch(_){ return null; }
+  }
+  function save(session){
+    if (session && session.token) localStorage.setItem(KEY, JSON.stringify(session));
+  }
+  function clear(){ localStorage.removeItem(KEY); localStorage.removeItem(VERSION_KEY); }
+
+  async function refresh(){
+    const s = get();
+    if (!s || !s.refreshToken) return null;
+    try{
+      const r = await fetch(`${API_BASE}/refresh-session`,{
+        method:"POST",
+        headers:{"Content-Type":"application/json"},
+        body:JSON.stringify({ refreshToken:s.refreshToken })
+      });
+      const j = await r.json().catch(()=>({}));
+      if (!r.ok || !j.session) { clear(); return null; }
+      save(j.session);
+      return j.session;
+    }catch(_){ return null; }
+  }
+
+  function withAuth(init, session){
+    const headers = Object.assign({}, (init && init.headers) || {});
+    if (session && session.token) headers.Authorization = `Bearer ${session.token}`;
+    return Object.assign({}, init || {}, { headers });
+  }
+
+  async function authFetch(url, init){
+    let res = await fetch(url, withAuth(init, get()));
+    if (res.status !== 401) return res;
+    const next = await refresh();
+    if (next) res = await fetch(url, withAuth(init, next));
+    if (res.status === 401 && !(init && init.noRedirect)) location.href = VERIFY_PAGE;
+    return res;
+  }
+
+  window.RSSession = { get, save, clear, refresh, authFetch };
+
+  /* ---------- dashboard sync (/api/profile) ---------- */
+  const SYNC_KEYS = {
+    identity: "realtysass.identity",
+    bridge: "realtysass.bridge",
+    monthlyHistory: "rs.monthly",
+    expenseRows: "va.expenses.rows"
+  };
+  function readLS(k){ try{ return JSON.parse(localStorage.getItem(k)||"null"); }catch(_){ return null; } }
+
+  function seenVersion(){
+    const v = localStorage.getItem(VERSION_KEY);
+    return v==null ? null : Number(v)||0;
+  }
+  function setSeen(v){ localStorage.setItem(VERSION_KEY, String(Number(v)||0)); }
+  const isEmpty = (v)=> v==null || (Array.isArray(v) && !v.length) || (typeof v==="object" && !Object.keys(v).length);
+
+  // Writes the server dashboard into localStorage; all:false only fills keys
+  // this browser is missing. → true if anything was written
+  function adopt(d, all){
+    let wrote = false;
+    Object.keys(SYNC_KEYS).forEach(f=>{
+      if (isEmpty(d[f])) return;
+      if (!all && localStorage.getItem(SYNC_KEYS[f])!=null) return;
+      localStorage.setItem(SYNC_KEYS[f], JSON.stringify(d[f]));
+      wrote = true;
+    });
+    return wrote;
+  }
+
+  // A browser that never synced takes the saved dashboard as is (its own keys
+  // are defaults) unless keepLocal says they are the user's fresh work (verify
+  // after the dashboard's Analyze hand-off); one that did sync keeps its edits
+  // and only fills gaps — a stale copy is caught by the version on the next push.
+  // → true if anything was written
+  let pulled = null;
+  async function pull(opts){
+    if (!get()) return false;
+    const r = await authFetch(`${API_BASE}/profile`,{ method:"GET", noRedirect:true });
+    if (!r.ok) throw new Error(`profile GET ${r.status}`);
+    const j = await r.json().catch(()=>({}));
+    const d = j.dashboard || {};
+    const firstSync = seenVersion()==null;
+    const wrote = adopt(d, firstSync && !(opts && opts.keepLocal));
+    if (firstSync) setSeen(d.version);
+    return wrote;
+  }
+  // One pull per page load (once signed in), shared by every push
+  function ready(opts){
+    if (!get()) return Promise.resolve(false);
+    if (!pulled) pulled = pull(opts).catch((err)=>{ pulled = null; throw err; });
+    return pulled;
+  }
+
+  // opts.keepLocal: see pull()
+  async function push(opts){
+    if (!get()) return null;
+    try{ await ready(opts); }catch(_){ return null; } // never PUT blind
+    const body = { version: seenVersion() || 0 };
+    Object.keys(SYNC_KEYS).forEach(f=>{ const v=readLS(SYNC_KEYS[f]); if (v!=null) body[f]=v; });
+    const r = await authFetch(`${API_BASE}/profile`,{
+      method:"PUT",
+      headers:{"Content-Type":"application/json"},
+      body:JSON.stringify(body),
+      noRedirect:true
+    });
+    const j = await r.json().catch(()=>({}));
+    if (r.status === 409 && j.dashboard){
+      window.dispatchEvent(new CustomEvent("rsprofile:conflict",{ detail:{ dashboard:j.dashboard } }));
+      return null;
+    }
+    if (j.dashboard) setSeen(j.dashboard.version);
+    return j.dashboard || null;
+  }
+
+  // After a conflict: keepLocal → overwrite the server with this browser's
+  // keys; else take the server's (→ true: the page should reload)
+  async function resolve(dashboard, keepLocal){
+    setSeen(dashboard.version);
+    if (keepLocal){ await push(); return false; }
+    adopt(dashboard, true);
+    return true;
+  }
+
+  let pushTimer = null;
+  function schedulePush(ms){
+    clearTimeout(pushTimer);
+    pushTimer = setTimeout(()=>{ push().catch(()=>{}); }, ms||2000);
+  }
+
+  window.RSProfile = { push, pull: ready, resolve, schedulePush };
+})();
@@ -1,11 +1,18 @@
 // A.I.O.U → Executive Buyer Memo (5 paragraphs) — CORS-hardened
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// lang:"es" in the brief (else profile preference / Accept-Language) → Spanish memo
+const { requireSession } = require("./lib/session");
+const { createLLM } = require("./lib/llm");
+const { createStore } = require("./lib/store");
+const { resolveLang, localeOf, languageInstruction } = require("./lib/i18n");
+
+// AIOU_* / LLM_* env: model, temperature, timeout, retries
+const llm = createLLM("aiou");
 
 /* ---------------- CORS helpers ---------------- */
 const corsHeaders = {
   "Content-Type": "application/json",
   "Access-Control-Allow-Origin": "*",               // allow Webflow origin
-  "Access-Control-Allow-Headers": "*",              // accept any header
+  "Access-Control-Allow-Headers": "*, Authorization", // any header (+ Authorization, which "*" never covers)
   "Access-Control-Allow-Methods": "POST, OPTIONS",  // preflight & POST
   "Access-Control-Max-Age": "86400",                // cache preflight
   "Vary": "Origin",
@@ -15,11 +22,30 @@ const bad = (code, message) => ({ statusCode: code, headers: corsHeaders, body:
 
 /* ---------------- tiny utils ---------------- */
 const lastNameOf = (full) => String(full || "").trim().split(/\s+/).slice(-1)[0] || "Client";
-const toCurrency = (n, d = 0) => (Number(n) || 0).toLocaleString("en-US", {
+const toCurrency = (n, d = 0, lang = "en") => (Number(n) || 0).toLocaleString(localeOf(lang), {
   style: "currency", currency: "USD", minimumFractionDigits: d, maximumFractionDigits: d
 });
 const housingLane = (incomeMonthly) => ({ laneMin: incomeMonthly * 0.28, laneMax: incomeMonthly * 0.33 });
 
+// Local fallback memo (5 blocks)
+function localBlocks({ last, archetype, assumedIncomeMonthly, lane }, lang) {
+  const usd = (n) => toCurrency(n, 0, lang);
+  if (lang === "es") return [
+    `<strong>${last}</strong>, este memo convierte su perfil A.I.O.U en un plan. Arquetipo: <strong>${archetype || "Explorador equilibrado"}</strong>. Buscaremos casas que se ajusten a su forma de vivir y evitaremos compras de las que se arrepienta.`,
+    `Metas: mantenga la vivienda cerca del <strong>28–33%</strong> del ingreso. Con un ingreso de ~${usd(assumedIncomeMonthly)} al mes, apunte a <strong>${usd(lane.laneMin)}–${usd(lane.laneMax)}</strong> en total (PITI/HOA/PMI). Busque <strong>por debajo</strong> de su precio máximo para dejar margen para la inspección y las mejoras.`,
+    `Riesgos clave: estirar el presupuesto por estilo, reservas escasas y reparaciones inesperadas. Primero definimos el pago y luego elegimos casas que se ajusten a su estilo y a sus necesidades para recibir visitas.`,
+    `Plan de acción: enfóquese en casas de <strong>5 a 10 años</strong> o remodelaciones de calidad (inspección limpia; techo, HVAC y calentador de agua recientes). Prefiera cocina y sala abiertas o espacio exterior antes que una recámara extra sin uso. Defina sus <strong>3 prioridades</strong> (seguridad, ubicación, diseño) antes de las visitas.`,
+    `Próximos pasos: preevalúe su préstamo dentro del carril indicado, vea casas que cumplan sus prioridades y use créditos del vendedor o puntos para equilibrar efectivo y tasa. CFPB: https://www.consumerfinance.gov/es/  • Reportes de crédito gratuitos: https://www.annualcreditreport.com/`,
+  ];
+  return [
+    `<strong>${last}</strong>, this memo turns your A.I.O.U profile into a plan. Archetype: <strong>${archetype || "Balanced Explorer"}</strong>. We’ll match homes to how you live and avoid regret buys.`,
+    `Targets: keep housing near <strong>28–33%</strong> of income. With ~${usd(assumedIncomeMonthly)}/mo income, aim for <strong>${usd(lane.laneMin)}–${usd(lane.laneMax)}</strong> all-in (PITI/HOA/PMI). Shop <strong>under</strong> your max price to leave room for inspection and upgrades.`,
+    `Key risks: stretching budget for style, thin reserves, and surprise repair costs. We size payment first, then pick homes that fit your style and hosting needs.`,
+    `Playbook: focus on <strong>5–10 year-old</strong> homes or quality renovations (clean inspection; recent roof/HVAC/water heater). Prefer open kitchen/living or outdoor space over an extra unused bedroom. Lock your <strong>top 3 must-haves</strong> (safety, location, design) before touring.`,
+    `Next steps: pre-underwrite in the lane above, preview homes that hit your must-haves, and use seller credits/points to balance cash vs rate. CFPB: https://www.consumerfinance.gov/  • Free credit reports: https://www.annualcreditreport.com/`,
+  ];
+}
+
 // ensure exactly 5 <p> blocks without dependencies
 function enforceFiveParagraphsFromText(text, fallbackBlocks) {
   let parts = String(text || "").split(/\n{2,}/).map(s => s.trim()).filter(Boolean);
@@ -36,11 +62,19 @@ exports.handler = async (event) => {
 
   if (event.httpMethod !== "POST") return bad(405, "Use POST");
 
-  if (!OPENAI_API_KEY) return bad(500, "OPENAI_API_KEY not configured");
+  const auth = await requireSession(event);
+  if (!auth.ok) return { statusCode: auth.statusCode, headers: corsHeaders, body: JSON.stringify({ error: auth.error, code: auth.code }) };
+
+  if (!llm.available) return bad(500, "OPENAI_API_KEY not configured");
 
   let brief = {};
   try { brief = JSON.parse(event.body || "{}"); }
   catch { return bad(400, "Invalid JSON"); }
+  if (!brief || typeof brief !== "object" || Array.isArray(brief)) return bad(400, "Invalid JSON");
+
+  let store = null;
+  try { store = createStore(event); } catch (err) { console.error("Store init error:", err); }
+  const lang = await resolveLang(event, { requested: brief.lang, email: auth.session.email, store });
 
   const { profile = {}, scores = {}, archetype = "", psych = {} } = brief;
   const first = String(profile.firstName || "").trim() || "Client";
@@ -54,23 +88,17 @@ exports.handler = async (event) => {
   const assumedIncomeMonthly = Math.max(3500, Math.min(12000, budgetMax / 60));
   const lane = housingLane(assumedIncomeMonthly);
 
-  // Local fallback memo (5 blocks)
-  const localBlocks = [
-    `<strong>${last}</strong>, this memo turns your A.I.O.U profile into a plan. Archetype: <strong>${archetype || "Balanced Explorer"}</strong>. We’ll match homes to how you live and avoid regret buys.`,
-    `Targets: keep housing near <strong>28–33%</strong> of income. With ~${toCurrency(assumedIncomeMonthly,0)}/mo income, aim for <strong>${toCurrency(lane.laneMin,0)}–${toCurrency(lane.laneMax,0)}</strong> all-in (PITI/HOA/PMI). Shop <strong>under</strong> your max price to leave room for inspection and upgrades.`,
-    `Key risks: stretching budget for style, thin reserves, and surprise repair costs. We size payment first, then pick homes that fit your style and hosting needs.`,
-    `Playbook: focus on <strong>5–10 year-old</strong> homes or quality renovations (clean inspection; recent roof/HVAC/water heater). Prefer open kitchen/living or outdoor space over an extra unused bedroom. Lock your <strong>top 3 must-haves</strong> (safety, location, design) before touring.`,
-    `Next steps: pre-underwrite in the lane above, preview homes that hit your must-haves, and use seller credits/points to balance cash vs rate. CFPB: https://www.consumerfinance.gov/  • Free credit reports: https://www.annualcreditreport.com/`,
-  ];
+  const fallbackBlocks = localBlocks({ last, archetype, assumedIncomeMonthly, lane }, lang);
 
   const systemPrompt = `
-You are "Elena", an Executive Real Estate Strategist. Write EXACTLY 5 short paragraphs, plain English, no headings.
+You are "Elena", an Executive Real Estate Strategist. Write EXACTLY 5 short paragraphs, plain ${lang === "es" ? "Spanish" : "English"}, no headings.
 P1: Greet with last name + purpose; mention archetype in one sentence.
 P2: Dollar targets: housing lane 28–33% using monthly income estimate; show min–max in USD; advise shopping below max price.
 P3: 2–3 biggest risks/blind spots tuned to scores.
 P4: Action playbook: 5–10 year-old or quality renovation, inspection strategy, open-plan/hosting vs extra bedroom, define top 3 must-haves. Include 1–2 credible links (CFPB, AnnualCreditReport).
 P5: Closing + next steps.
 Style: crisp, friendly, no jargon, whole dollars only.
+${languageInstruction(lang)}
 `;
 
   const userPrompt = `
@@ -87,43 +115,31 @@ ${JSON.stringify({
 }, null, 2)}
 Write the five paragraphs now.`;
 
-  async function callOpenAI() {
-    const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        temperature: 0.4,
-        messages: [{ role: "system", content: systemPrompt }, { role: "user", content: userPrompt }],
-      }),
-    });
-    if (!resp.ok) throw new Error(`OpenAI HTTP ${resp.status} ${await resp.text()}`);
-    const data = await resp.json();
-    return data?.choices?.[0]?.message?.content?.trim() || "";
-  }
-
   try {
-    const memoText = await callOpenAI();
-    const memoHtml = enforceFiveParagraphsFromText(memoText, localBlocks);
+    const { content: memoText } = await llm.complete([
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt },
+    ]);
+    const memoHtml = enforceFiveParagraphsFromText(memoText, fallbackBlocks);
     return ok({
       ok: true,
       memo: memoText,
       memoHtml,
       meta: {
-        archetype, scores,
+        archetype, scores, lang,
         assumedIncomeMonthly: Math.round(assumedIncomeMonthly),
         lane: { minMonthly: Math.round(lane.laneMin), maxMonthly: Math.round(lane.laneMax) }
       }
     });
   } catch (e) {
-    const memoHtml = enforceFiveParagraphsFromText("", localBlocks);
+    const memoHtml = enforceFiveParagraphsFromText("", fallbackBlocks);
     return ok({
       ok: false,
       error: String(e.message || e),
-      memo: localBlocks.join("\n\n"),
+      memo: fallbackBlocks.join("\n\n"),
       memoHtml,
       meta: {
-        fallback: true, archetype, scores,
+        fallback: true, archetype, scores, lang,
         assumedIncomeMonthly: Math.round(assumedIncomeMonthly),
         lane: { minMonthly: Math.round(lane.laneMin), maxMonthly: Math.round(lane.laneMax) }
       }
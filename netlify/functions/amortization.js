@@ -0,0 +1,110 @@
+// netlify/functions/amortization.js
+//
+// PURPOSE:
+// - Full amortization schedule + PITI breakdown (lib/amortization.js) for the
+//   Analyze charts and PDF exports: summarize.js only ever needed the payment
+// - Accept POST either explicit terms:
+//     { loanAmount, apr, termYears?, homeValue?, startDate?:"YYYY-MM",
+//       extraMonthly?, extraYearly?, extraYearlyMonth?, extraOnce?:[{ date, amount }],
+//       pmi? | pmiRate?, taxes? | taxesAnnual?, insurance? | insuranceAnnual?, hoa?,
+//       tihoa?, escrowGrowthPct?, appreciationPct?, detail?:"yearly" }
+//   or { snapshot } (realtysass.bridge): loan = price − dpAmt (a VA snapshot
+//   is priced by lib/va.js: fee financed, no PMI), apr / scoreAPR, termYears,
+//   pmi, and tihoa as its own combined line (not escrow: it includes HOA, so
+//   escrowGrowthPct leaves it flat); explicit fields next to snapshot
+//   override it, and explicit taxes/insurance/hoa replace tihoa
+// - Return:
+//     { ok, loan, piti, monthly:[...] (omitted with detail:"yearly"), yearly:[...],
+//       totals, payoff:{ date, months }, pmi:{ monthly, dropLtv, dropMonth,
+//       dropDate, total } | null, extra:{ monthsSaved, interestSaved, pmiSaved,
+//       payoffWithout } | null }
+//   pmi.dropMonth / dropDate are null when the loan is paid off before PMI
+//   would drop
+//
+// AUTH:
+// - Authorization: Bearer <token> from verify-code.js (lib/session.js)
+
+const { requireSession } = require("./lib/session");
+const { scoreAPR } = require("./lib/fiduciary");
+const { withVaLoan } = require("./lib/va");
+const { validateTerms, amortize } = require("./lib/amortization");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Content-Type": "application/json"
+};
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function respond(statusCode, obj) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(obj || {})
+  };
+}
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const given = (v) => v !== undefined && v !== null && v !== "";
+
+const TIHOA_PARTS = ["taxes", "taxesAnnual", "insurance", "insuranceAnnual", "hoa"];
+
+// realtysass.bridge → amortization terms
+function termsFromSnapshot(s) {
+  const { snapshot, va } = withVaLoan(s);
+  const price = Number(snapshot.price) || 0;
+  const loanAmount = va ? va.loanAmount : Math.max(0, price - (Number(snapshot.dpAmt) || 0));
+  return {
+    loanAmount: loanAmount || undefined,
+    homeValue: price || undefined,
+    apr: Number(snapshot.apr) || scoreAPR(Number(snapshot.creditScore || 720)),
+    termYears: Number(snapshot.termYears) || 30,
+    pmi: Number(snapshot.pmi) || 0,
+    // the dashboard keeps taxes, insurance and HOA as one monthly figure
+    tihoa: Number(snapshot.tihoa) || 0
+  };
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return respond(200, {});
+  }
+
+  if (event.httpMethod !== "POST") {
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  const auth = await requireSession(event);
+  if (!auth.ok) {
+    return respond(auth.statusCode, { ok: false, code: auth.code, error: auth.error });
+  }
+
+  if ((event.body || "").length > MAX_BODY_BYTES) {
+    return respond(413, { error: "Payload too large" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (_) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+  if (!isObj(body)) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+
+  const { snapshot, detail, ...explicit } = body;
+  const terms = isObj(snapshot) ? { ...termsFromSnapshot(snapshot), ...explicit } : explicit;
+  if (isObj(snapshot) && !given(explicit.tihoa) && TIHOA_PARTS.some((f) => given(explicit[f]))) delete terms.tihoa;
+
+  const errors = validateTerms(terms);
+  if (errors.length) {
+    return respond(400, { error: "Invalid loan terms", errors });
+  }
+
+  const result = amortize(terms);
+  if (detail === "yearly") delete result.monthly;
+  return respond(200, { ok: true, ...result });
+};
@@ -1,6 +1,63 @@
 // netlify/functions/ask-elena.js
 // Full Upgrade — Intent Router + Smart Concierge Flow
 // CommonJS + Node 18 native fetch
+// Conversation memory: POST { message, conversationId?, conversationKey? }
+//                        → { reply, conversationId, conversationKey? }
+//                      GET ?conversationId=...  (X-Conversation-Key header)
+//                        → transcript for resume
+//   conversationKey is issued once, when an anonymous chat starts; the page
+//   sends it back to resume or continue that chat, or to claim it after
+//   verifying (lib/conversations.js). Verified users' chats need only the id.
+// Streaming: POST { ..., stream:true } (or Accept: text/event-stream) relays
+//   model tokens as Server-Sent Events:
+//     event: meta   { conversationId, conversationKey?, lang }
+//     event: delta  { text }                       (repeated)
+//     event: tool   { name }                       (Elena is running a tool)
+//     event: done   { reply, conversationId, grounding, tools, citations } (after memory is saved)
+//     event: error  { error, detail }
+//   Intent replies and the dev echo are instant, so they stay JSON; clients
+//   branch on the response Content-Type. Where the runtime can't stream
+//   (no awslambda.streamifyResponse, e.g. plain local invocation) the same
+//   request gets the JSON reply.
+// Grounding: POST { ..., snapshot? } — the same snapshot summarize.js takes
+//   (realtysass.bridge). Without one, a verified user's saved dashboard
+//   (/api/profile → bridge) is used. KPIs + grade come from lib/fiduciary.js
+//   and are handed to the model as the only figures it may quote.
+// Tools: the model may call lib/tools.js (mortgage_payment, military_pay,
+//   school_lookup, city_facts); results are fed back before it answers and
+//   the calls are listed in the reply as tools:[{ name, arguments }].
+// Retrieval: matching passages from our blog articles (lib/retrieval.js,
+//   data/blog-index.json) are handed to the model to cite as [n]; the reply
+//   carries citations:[{ n, title, heading, url }] pointing at the real pages.
+// Handoff: buying-intent replies (intents.json "handoff") carry
+//   handoff:{ offer:true, prefill? } so the page can show the contact form
+//   that posts to handoff.js, or handoff:{ done:true, agent } once it's sent.
+// Language: POST { ..., lang:"es" } (else the verified user's saved
+//   preference, else Accept-Language) → intent replies, the model's reply
+//   and number formatting follow it; replies carry lang.
+// Session is optional here (the homepage concierge talks to visitors before they
+// verify), but an expired/invalid token is rejected so the widget refreshes it.
+
+const { stream } = require("@netlify/functions");
+const { requireSession } = require("./lib/session");
+const {
+  chatStore,
+  newConversation,
+  issueKey,
+  loadConversation,
+  saveConversation,
+  appendTurn,
+  modelHistory,
+  compact,
+  publicView,
+} = require("./lib/conversations");
+const { detectIntent } = require("./lib/intents");
+const { createStore } = require("./lib/store");
+const { groundingFacts, storedBridge } = require("./lib/fiduciary");
+const { toolSpecs, runTool } = require("./lib/tools");
+const { searchBlog } = require("./lib/retrieval");
+const { createLLM } = require("./lib/llm");
+const { resolveLang, languageInstruction, t } = require("./lib/i18n");
 
 const ALLOW_ORIGINS = [
   "https://theorozcorealty.com",
@@ -13,8 +70,8 @@ function corsHeaders(origin) {
   const allow = ALLOW_ORIGINS.includes(origin) ? origin : ALLOW_ORIGINS[0];
   return {
     "Access-Control-Allow-Origin": allow,
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Conversation-Key",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
     "Access-Control-Max-Age": "86400",
     Vary: "Origin",
     "Content-Type": "application/json",
@@ -23,133 +80,156 @@ function corsHeaders(origin) {
 
 // ------------------------------------------------------------
 // 1) INTENT ROUTER — Elena's brain
+//    Rules, weights, thresholds and reply templates live in
+//    data/intents.json; matching/scoring in lib/intents.js.
 // ------------------------------------------------------------
 
-function detectIntent(text) {
-  const t = text.toLowerCase();
-
-  // Financial Dashboard / Budget / Affordability
-  if (
-    t.includes("budget") ||
-    t.includes("afford") ||
-    t.includes("income") ||
-    t.includes("expenses") ||
-    t.includes("bah") ||
-    t.includes("mortgage") ||
-    t.includes("financial")
-  ) {
-    return {
-      type: "financial_dashboard",
-      reply:
-        "To get started, let’s build your true financial profile.\n\nHere’s your Financial Dashboard — it calculates disposable income, affordability, and a clear monthly picture:\n\n**https://theorozcorealty.com/dashboard**\n\nOnce you complete it, I’ll walk you through your Fiduciary Analysis.",
-    };
-  }
-
-  // Analysis / Memo
-  if (
-    t.includes("analysis") ||
-    t.includes("memo") ||
-    t.includes("fiduciary") ||
-    t.includes("results")
-  ) {
-    return {
-      type: "analysis",
-      reply:
-        "Your Fiduciary Snapshot explains your real affordability, monthly cushion, and financial risk level.\n\nIf you’ve already completed the dashboard, open your Analysis page here:\n\n**https://theorozcorealty.com/analysis**\n\nAsk me anything about your numbers — I’ll break them down clearly.",
-    };
-  }
+// ------------------------------------------------------------
+// 2) MODEL HELPERS
+// ------------------------------------------------------------
 
-  // AIOU Test
-  if (
-    t.includes("aiou") ||
-    t.includes("psych") ||
-    t.includes("personality") ||
-    t.includes("code") ||
-    t.includes("unlock")
-  ) {
-    return {
-      type: "aiou",
-      reply:
-        "Next step is your A.I.O.U Personality Test — it reveals your buying psychology and generates your **6-digit unlock code** for RealtySaSS.\n\nBegin the test here:\n\n**https://theorozcorealty.com/aiou**\n\nIt’s quick, insightful, and essential for the House of SaSS.",
-    };
-  }
+// Chat completions go through lib/llm.js (ELENA_* / LLM_* env: model,
+// temperature, timeout, retries, base URL, mock provider). PII in the
+// user's text, history and snapshot is masked there and restored in the reply.
+const elena = createLLM("elena");
 
-  // RealtySaSS Unlock
-  if (
-    t.includes("realtysass") ||
-    t.includes("sass") ||
-    t.includes("unlock") ||
-    t.includes("tools")
-  ) {
-    return {
-      type: "sass_unlock",
-      reply:
-        "RealtySaSS is our private suite of intelligent tools — Re-Defined, Flip.ai, calculators, deep analysis, and more.\n\nEnter your unlock code here:\n\n**https://theorozcorealty.com/realtysass**\n\nIf you don’t have a code yet, take the AIOU test and I’ll prepare it for you.",
-    };
-  }
+// Runs the model, executing any tools it calls (lib/tools.js) and feeding the
+// results back until it answers in prose. The last round offers no tools so
+// a reply always comes back. → { reply, tools:[{ name, arguments }] }
+const MAX_TOOL_ROUNDS = 3;
 
-  // Blog intent — VA Loan
-  if (t.includes("va loan") || t.includes("va") || t.includes("certificate")) {
-    return {
-      type: "blog_va",
-      reply:
-        "Here’s the clean, simple walkthrough of the **VA Loan Process**:\n\nhttps://new-real-estate-purchase.webflow.io/blog-page/va-loan-process\n\nIf you want, I can also break down eligibility, COE, or funding fee for you.",
-    };
-  }
+async function converse(messages, { onDelta, onTool, ctx } = {}) {
+  const thread = [...messages];
+  const used = [];
+  for (let round = 0; ; round++) {
+    const tools = round < MAX_TOOL_ROUNDS ? toolSpecs() : undefined;
+    const { content, toolCalls } = await elena.complete(thread, { tools, onDelta });
+    if (!toolCalls.length) return { reply: content, tools: used };
 
-  // Blog intent — Buying Steps
-  if (
-    t.includes("steps") ||
-    t.includes("first time") ||
-    t.includes("buying") ||
-    t.includes("process")
-  ) {
-    return {
-      type: "blog_steps",
-      reply:
-        "Here’s your guide to the **Home Buying Steps** — simple, clear, and military-friendly:\n\nhttps://new-real-estate-purchase.webflow.io/blog-page/home-buying-steps\n\nWant me to match these steps to your situation?",
-    };
+    thread.push({ role: "assistant", content: content || null, tool_calls: toolCalls });
+    for (const call of toolCalls) {
+      const name = call.function?.name || "";
+      if (onTool) onTool(name);
+      const result = await runTool(name, call.function?.arguments, ctx);
+      let args = {};
+      try { args = JSON.parse(call.function?.arguments || "{}"); } catch (_) {}
+      used.push({ name, arguments: args });
+      thread.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) });
+    }
   }
+}
 
-  // Blog intent — Realtor?
-  if (t.includes("realtor") || t.includes("agent")) {
-    return {
-      type: "blog_realtor",
-      reply:
-        "Most people don’t know this — here’s the article on whether you actually **need a realtor**:\n\nhttps://new-real-estate-purchase.webflow.io/blog-page/do-i-need-a-realtor\n\nIf you’d like, I can explain the pros and cons for military buyers.",
-    };
-  }
+// ReadableStream of SSE frames; run(send) drives it, errors are logged and
+// become a generic "error" event
+function sseStream(run) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    async start(controller) {
+      const send = (event, data) =>
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      try {
+        await run(send);
+      } catch (err) {
+        console.error("Elena stream error:", err);
+        send("error", { error: "Server exception" });
+      }
+      controller.close();
+    },
+  });
+}
 
-  // Blog intent — Risks
-  if (t.includes("risk") || t.includes("danger") || t.includes("mistake")) {
-    return {
-      type: "blog_risks",
-      reply:
-        "Here’s a clean breakdown of the **benefits & risks** of buying a home:\n\nhttps://new-real-estate-purchase.webflow.io/blog-page/home-buying-steps\n\nI can also walk you through the risks based on your income, rank, and timeline.",
-    };
+// Request snapshot first, else the verified user's saved dashboard bridge
+// → { facts, snapshot, source: "request"|"profile" } | null
+async function loadFinancials(event, payload, session, lang) {
+  const fromRequest = groundingFacts(payload.snapshot, lang);
+  if (fromRequest) return { facts: fromRequest, snapshot: payload.snapshot, source: "request" };
+  if (!session) return null;
+  try {
+    const bridge = storedBridge(await createStore(event).userData.get(session.email, "dashboard"));
+    const fromProfile = groundingFacts(bridge, lang);
+    return fromProfile ? { facts: fromProfile, snapshot: bridge, source: "profile" } : null;
+  } catch (err) {
+    console.error("Profile load error:", err);
+    return null;
   }
+}
 
-  return null; // no matched intent
+// Folds older turns into the running summary (lib/conversations.js → compact)
+function summarizer() {
+  if (!elena.available) return null;
+  return async (previous, turns) => {
+    const { content } = await elena.complete(
+      [
+        {
+          role: "system",
+          content:
+            "Update the running summary of a real-estate concierge chat. Keep facts the user shared (goals, budget, rank, timeline, locations) and open questions. Max 120 words, plain prose, no greetings.",
+        },
+        {
+          role: "user",
+          content: JSON.stringify({
+            previousSummary: previous || "",
+            newTurns: turns.map((t) => ({ role: t.role, content: t.content })),
+          }),
+        },
+      ],
+      { temperature: 0.2, max_tokens: 220 }
+    );
+    return content;
+  };
 }
 
 // ------------------------------------------------------------
-// 2) HANDLER
+// 3) HANDLER
 // ------------------------------------------------------------
 
-module.exports.handler = async (event) => {
+// Netlify's Lambda-compatible runtime exposes awslambda.streamifyResponse;
+// without it, stream() can't be used and every reply is JSON.
+const CAN_STREAM = typeof awslambda !== "undefined" && !!awslambda.streamifyResponse;
+
+async function handler(event) {
   const origin = event.headers?.origin || "";
   const headers = corsHeaders(origin);
+  const json = (statusCode, obj) => ({ statusCode, headers, body: JSON.stringify(obj) });
 
   if (event.httpMethod === "OPTIONS") {
     return { statusCode: 204, headers, body: "" };
   }
 
-  if (event.httpMethod !== "POST") {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: "Method Not Allowed" }),
-    };
+  if (event.httpMethod !== "POST" && event.httpMethod !== "GET") {
+    return json(405, { error: "Method Not Allowed" });
+  }
+
+  const auth = await requireSession(event, { optional: true });
+  if (!auth.ok) {
+    return json(auth.statusCode, { error: auth.error, code: auth.code });
+  }
+  const session = auth.session; // null for anonymous visitors
+
+  let store;
+  try {
+    store = chatStore(event);
+  } catch (err) {
+    console.error("Chat store init error:", err);
+    store = null; // chat still works, just without memory
+  }
+
+  // ------------------------------------------------------------
+  // 3a) Resume: GET ?conversationId=...
+  // ------------------------------------------------------------
+
+  if (event.httpMethod === "GET") {
+    const id = event.queryStringParameters?.conversationId || "";
+    const key = event.headers?.["x-conversation-key"] || event.headers?.["X-Conversation-Key"] || "";
+    if (!store) return json(503, { error: "Conversation storage unavailable" });
+    try {
+      const convo = await loadConversation(store, id, session?.email, key);
+      if (!convo) return json(404, { error: "Conversation not found", code: "conversation_not_found" });
+      return json(200, publicView(convo));
+    } catch (err) {
+      console.error("Conversation load error:", err);
+      return json(500, { error: "Could not load conversation" });
+    }
   }
 
   // Parse body
@@ -157,52 +237,98 @@ module.exports.handler = async (event) => {
   try {
     payload = JSON.parse(event.body || "{}");
   } catch (_) {
-    return {
-      statusCode: 400,
-      headers,
-      body: JSON.stringify({ error: "Invalid JSON body" }),
-    };
+    return json(400, { error: "Invalid JSON body" });
+  }
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return json(400, { error: "Invalid JSON body" });
   }
 
   const userText = (payload.message || "").toString().trim();
   if (!userText) {
-    return {
-      statusCode: 400,
-      headers,
-      body: JSON.stringify({ error: "Missing message" }),
-    };
+    return json(400, { error: "Missing message" });
+  }
+
+  // Language preference (lib/i18n.js); the saved one needs the auth store
+  let authStore = null;
+  if (session && !payload.lang) {
+    try {
+      authStore = createStore(event);
+    } catch (err) {
+      console.error("Store init error:", err);
+    }
+  }
+  const lang = await resolveLang(event, { requested: payload.lang, email: session?.email, store: authStore });
+
+  // Load (or start) the conversation
+  let convo = null;
+  if (store) {
+    try {
+      convo = await loadConversation(store, payload.conversationId, session?.email, payload.conversationKey);
+    } catch (err) {
+      console.error("Conversation load error:", err);
+    }
+  }
+  // New anonymous chat → a key only this page gets (sent back once)
+  let conversationKey;
+  if (!convo) {
+    convo = newConversation(session?.email || "anonymous");
+    if (!session) conversationKey = issueKey(convo);
+  }
+
+  const accept = event.headers?.accept || event.headers?.Accept || "";
+  const streaming = CAN_STREAM && (payload.stream === true || /text\/event-stream/i.test(accept));
+
+  // Records both sides, compacts, persists; memory failures never block a reply
+  async function remember(reply) {
+    appendTurn(convo, "user", userText);
+    appendTurn(convo, "assistant", reply);
+    if (store) {
+      try {
+        await compact(convo, summarizer());
+        await saveConversation(store, convo);
+      } catch (err) {
+        console.error("Conversation save error:", err);
+      }
+    }
+  }
+
+  async function finish(reply, extra = {}) {
+    await remember(reply);
+    return json(200, { reply, conversationId: convo.id, conversationKey, lang, ...extra });
   }
 
   // ------------------------------------------------------------
-  // 3) Intent Routing FIRST
+  // 4) Intent Routing FIRST
   // ------------------------------------------------------------
 
-  const intent = detectIntent(userText);
+  const financials = await loadFinancials(event, payload, session, lang);
+
+  const intent = detectIntent(userText, { user: session || {}, financials: !!financials, lang });
   if (intent) {
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        reply: intent.reply,
-        intent: intent.type,
-      }),
-    };
+    // match explains which rules fired, score, confidence and runner-up
+    const extra = { intent: intent.type, links: intent.links, match: intent.match };
+    if (!intent.handoff) return finish(intent.reply, extra);
+
+    // Buying intent: offer the agent handoff (handoff.js) — once per conversation
+    if (convo.handoff) {
+      const agent = convo.handoff.agent?.name || t(lang, "yourAgent");
+      return finish(t(lang, "alreadyConnected", { agent }), {
+        ...extra,
+        handoff: { done: true, agent: convo.handoff.agent },
+      });
+    }
+    return finish(intent.reply, {
+      ...extra,
+      handoff: { offer: true, prefill: session ? { email: session.email, name: session.lastName || "" } : null },
+    });
   }
 
   // ------------------------------------------------------------
-  // 4) If no intent matched → use OpenAI
+  // 5) If no intent matched → use the model (with conversation memory)
   // ------------------------------------------------------------
 
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) {
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        reply:
-          `Elena (dev echo): “${userText}” — Add OPENAI_API_KEY to enable real answers.`,
-      }),
-    };
+  if (!elena.available) {
+    return finish(t(lang, "devEcho", { text: userText }));
   }
 
   const system = [
@@ -211,39 +337,73 @@ module.exports.handler = async (event) => {
     "You guide users through: Financial Dashboard → Analysis → AIOU Test → RealtySaSS Unlock.",
     "You always keep answers under 8 sentences, and offer a next step or link.",
     "Tone: warm, reassuring, intelligent, strategic, slightly flirty, never explicit.",
-  ].join(" ");
+    "Use the earlier turns and summary to stay consistent; don't re-ask what the user already told you.",
+    financials
+      ? "The user's own numbers are in the FINANCIALS message (computed server-side from their dashboard). Quote only those figures; for affordability use housingLane and the grade, and explain the grade only with gradeReasons. If a number you need isn't there, say so and point them to the Financial Dashboard — never estimate or invent figures."
+      : "You don't have the user's financial numbers. Never guess their income, payment, or grade; invite them to complete the Financial Dashboard for exact figures.",
+    "When BLOG PASSAGES are provided and relevant, base your answer on them and cite them inline as [1], [2]; never cite a passage you didn't use.",
+    "For payments on a specific price, military pay/BAH, schools by ZIP, or city/market facts, call the matching tool and answer from its result instead of guessing or only linking. If a tool returns an error, say what's missing.",
+    languageInstruction(lang),
+    session
+      ? `The user is verified as ${[session.rank, session.lastName].filter(Boolean).join(" ") || session.email}; address them that way.`
+      : "",
+  ].filter(Boolean).join(" ");
+
+  const passages = searchBlog(userText);
+  const blogContext = passages
+    .map((p, i) => `[${i + 1}] ${p.title}${p.heading ? ` — ${p.heading}` : ""} (${p.url})\n${p.text}`)
+    .join("\n\n");
+  // only the passages the reply actually cites as [n]
+  const citedIn = (reply) =>
+    passages
+      .map((p, i) => ({ n: i + 1, title: p.title, heading: p.heading, url: p.url }))
+      .filter((c) => String(reply).includes(`[${c.n}]`));
 
   const messages = [
     { role: "system", content: system },
+    ...(financials ? [{ role: "system", content: `FINANCIALS ${JSON.stringify(financials.facts)}` }] : []),
+    ...(blogContext ? [{ role: "system", content: `BLOG PASSAGES\n${blogContext}` }] : []),
+    ...modelHistory(convo),
     { role: "user", content: userText },
   ];
 
-  try {
-    const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
+  const FALLBACK_REPLY = t(lang, "fallbackReply");
+  // Tells the client which numbers the answer was grounded on
+  const grounding = financials ? { source: financials.source, grade: financials.facts.grade } : null;
+  const toolCtx = { snapshot: financials ? financials.snapshot : null };
+
+  if (streaming) {
+    return {
+      statusCode: 200,
       headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${key}`,
+        ...headers,
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache",
       },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        temperature: 0.4,
-        max_tokens: 500,
-        messages,
+      body: sseStream(async (send) => {
+        send("meta", { conversationId: convo.id, conversationKey, lang });
+        let { reply, tools } = await converse(messages, {
+          ctx: toolCtx,
+          onDelta: (text) => send("delta", { text }),
+          onTool: (name) => send("tool", { name }),
+        });
+        if (!reply) {
+          reply = FALLBACK_REPLY;
+          send("delta", { text: reply });
+        }
+        await remember(reply);
+        send("done", { reply, conversationId: convo.id, grounding, tools, citations: citedIn(reply) });
       }),
-    });
-
-    const data = await resp.json();
-    const reply =
-      (data?.choices?.[0]?.message?.content || "").trim() ||
-      "I’m right here. What would you like to explore next?";
+    };
+  }
 
-    return { statusCode: 200, headers, body: JSON.stringify({ reply }) };
+  try {
+    const { reply, tools } = await converse(messages, { ctx: toolCtx });
+    return finish(reply || FALLBACK_REPLY, { grounding, tools, citations: citedIn(reply) });
   } catch (err) {
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ error: "Server exception", detail: String(err) }),
-    };
+    console.error("Elena reply error:", err);
+    return json(500, { error: "Server exception" });
   }
-};
+}
+
+module.exports.handler = CAN_STREAM ? stream(handler) : handler;
@@ -0,0 +1,92 @@
+// netlify/functions/grade.js
+//
+// PURPOSE:
+// - The fiduciary grade with its reasons (lib/grading.js), for anything that
+//   shows a letter outside the memo; the pages grade locally with the same
+//   module (js/rs-grade.js) and get the same answer
+// - Accept POST:
+//     { snapshot?, lang? }
+//   snapshot is realtysass.bridge (income, expenses, savings, housing; see
+//   lib/grading.js for what each means; a
+//   priced snapshot is graded on its purchase, as summarize.js does, and a
+//   VA snapshot is priced by lib/va.js); without it the dashboard saved
+//   through profile.js is used
+// - Return:
+//     { ok, letter, score, base, adjustments:[{ rule, points, value, reason }], lang }
+//
+// AUTH:
+// - Authorization: Bearer <token> from verify-code.js (lib/session.js)
+
+const { requireSession } = require("./lib/session");
+const { createStore } = require("./lib/store");
+const { computeKPIs, storedBridge } = require("./lib/fiduciary");
+const { withVaLoan } = require("./lib/va");
+const { grade } = require("./lib/grading");
+const { resolveLang } = require("./lib/i18n");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Content-Type": "application/json"
+};
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function respond(statusCode, obj) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(obj || {})
+  };
+}
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return respond(200, {});
+  }
+
+  if (event.httpMethod !== "POST") {
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  const auth = await requireSession(event);
+  if (!auth.ok) {
+    return respond(auth.statusCode, { ok: false, code: auth.code, error: auth.error });
+  }
+
+  if ((event.body || "").length > MAX_BODY_BYTES) {
+    return respond(413, { error: "Payload too large" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (_) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+  if (!isObj(body)) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+
+  let store = null;
+  try { store = createStore(event); } catch (err) { console.error("Store init error:", err); }
+
+  let snapshot = isObj(body.snapshot) ? body.snapshot : null;
+  if (!snapshot) {
+    if (!store) return respond(500, { error: "Lookup failed." });
+    try {
+      const dashboard = await store.userData.get(auth.session.email, "dashboard");
+      snapshot = storedBridge(dashboard) || {};
+    } catch (err) {
+      console.error("Dashboard lookup error:", err);
+      return respond(500, { error: "Lookup failed." });
+    }
+  }
+
+  const lang = await resolveLang(event, { requested: body.lang, email: auth.session.email, store });
+  const k = computeKPIs(withVaLoan(snapshot).snapshot);
+  return respond(200, { ok: true, ...grade(k, lang), lang });
+};
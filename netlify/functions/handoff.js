@@ -0,0 +1,248 @@
+// netlify/functions/handoff.js
+//
+// PURPOSE:
+// - Hand a ready-to-buy Ask Elena chat to a human agent
+// - Accept POST { conversationId, conversationKey?, name, email, phone?, preference?, bestTime?, specialty?, lang? }
+//     preference: "email" | "phone" | "text"
+//     conversationKey: the key ask-elena.js issued, for an anonymous chat
+// - Throttle per email + per client IP (lib/otp.js, scope "lead")
+// - Pick the agent: specialty (given, or inferred from the chat) → a
+//   specialist; otherwise round-robin (lib/leads.js, data/agents.json)
+// - Record the lead (userData "leads/<id>" under the client's email) and
+//   mark the conversation so a second click doesn't send it twice
+// - Email the agent the conversation summary + last messages through
+//   Resend (lib/delivery.js)
+// - Return { ok:true, leadId, reply, agent:{ name, title, page }, assignedBy, notified }
+//   (duplicate:true when this conversation was already handed off)
+//   notified:false → the lead is recorded but the email failed; the
+//   client still gets a confirmation (the team works the lead list too)
+//
+// AUTH:
+// - Session optional (same as ask-elena.js); a verified user's rank and
+//   email fill in what the form leaves out
+
+const { requireSession } = require("./lib/session");
+const { createStore } = require("./lib/store");
+const { chatStore, loadConversation, saveConversation, appendTurn } = require("./lib/conversations");
+const { clientIp, checkThrottle, recordEvent, otpError } = require("./lib/otp");
+const { deliver, normalizePhone } = require("./lib/delivery");
+const { inferSpecialty, assignAgent, conversationDigest, newLead, agentEmail } = require("./lib/leads");
+const { createLLM } = require("./lib/llm");
+const { resolveLang, t } = require("./lib/i18n");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Content-Type": "application/json"
+};
+
+const PREFERENCES = ["email", "phone", "text"];
+
+// Agent brief goes through the same client as the chat (PII is restored
+// before it reaches the email)
+const elena = createLLM("elena");
+
+function respond(statusCode, obj) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(obj || {})
+  };
+}
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// 3–4 sentence brief for the agent; falls back to the running summary and
+// the client's own questions when there is no model
+async function briefFor(digest) {
+  const asks = digest.turns.filter((t) => t.role === "user").map((t) => t.content.replace(/\s+/g, " ").slice(0, 160));
+  const fallback = [digest.summary, asks.length ? `Client asked about: ${asks.join("; ")}.` : ""].filter(Boolean).join(" ");
+  if (!elena.available || !digest.turns.length) return fallback;
+  try {
+    const { content } = await elena.complete(
+      [
+        {
+          role: "system",
+          content:
+            "Brief a real-estate agent on a chat they are taking over. 3–4 plain sentences: what the client wants, budget/financing (VA, pre-approval), timing and area, and open questions. Only facts from the chat; no greetings."
+        },
+        {
+          role: "user",
+          content: `${digest.summary ? `Earlier summary: ${digest.summary}\n\n` : ""}${digest.text}`
+        }
+      ],
+      { temperature: 0.2, max_tokens: 220 }
+    );
+    return content || fallback;
+  } catch (err) {
+    console.error("Lead brief error:", err);
+    return fallback;
+  }
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return respond(200, {});
+  }
+
+  if (event.httpMethod !== "POST") {
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  const auth = await requireSession(event, { optional: true });
+  if (!auth.ok) {
+    return respond(auth.statusCode, { ok: false, code: auth.code, error: auth.error });
+  }
+  const session = auth.session;
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (_) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+  if (!isObj(body)) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+
+  const name = String(body.name || "").trim().slice(0, 120);
+  const email = String(body.email || session?.email || "").trim().toLowerCase();
+  const phone = body.phone ? normalizePhone(body.phone) : "";
+  const preference = String(body.preference || "email").toLowerCase();
+
+  if (!name) {
+    return respond(400, { error: "Name required" });
+  }
+  if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+    return respond(400, { error: "Valid email required" });
+  }
+  if (body.phone && !phone) {
+    return respond(400, { error: "Phone number not recognized" });
+  }
+  if (!PREFERENCES.includes(preference)) {
+    return respond(400, { error: `preference must be one of: ${PREFERENCES.join(", ")}` });
+  }
+  if (preference !== "email" && !phone) {
+    return respond(400, { error: "Phone number required for phone/text contact" });
+  }
+
+  let store;
+  try {
+    store = createStore(event);
+  } catch (err) {
+    console.error("Store init error:", err);
+    return respond(500, { error: "Storage not configured" });
+  }
+
+  // The chat being handed off (optional: the form also works without one)
+  let chats = null;
+  let convo = null;
+  try {
+    chats = chatStore(event);
+    convo = await loadConversation(chats, body.conversationId, session?.email, body.conversationKey);
+  } catch (err) {
+    console.error("Conversation load error:", err);
+  }
+
+  const lang = await resolveLang(event, { requested: body.lang, email: session?.email, store });
+
+  if (convo && convo.handoff) {
+    const agentName = convo.handoff.agent?.name || t(lang, "yourAgent");
+    return respond(200, {
+      ok: true,
+      duplicate: true,
+      leadId: convo.handoff.leadId,
+      agent: convo.handoff.agent,
+      reply: t(lang, "handoffDuplicate", { agent: agentName })
+    });
+  }
+
+  const ip = clientIp(event);
+  const throttled = await checkThrottle(store, "lead", { email, ip });
+  if (throttled) {
+    const e = otpError("throttled", { retryAfter: throttled.retryAfter });
+    return respond(e.statusCode, e.body);
+  }
+  await recordEvent(store, "lead", { email, ip });
+
+  const digest = conversationDigest(convo);
+  const specialty =
+    String(body.specialty || "").trim() ||
+    inferSpecialty([digest.summary, ...digest.turns.filter((t) => t.role === "user").map((t) => t.content)].join(" "));
+
+  const assigned = await assignAgent(store, { specialty });
+  if (!assigned) {
+    return respond(503, { error: "No agents available right now" });
+  }
+  const { agent, assignedBy } = assigned;
+
+  const lead = newLead({
+    conversationId: convo ? convo.id : "",
+    specialty,
+    contact: {
+      name,
+      email,
+      phone,
+      preference,
+      bestTime: String(body.bestTime || "").trim().slice(0, 80),
+      rank: session?.rank || "",
+      lang
+    }
+  });
+  lead.assignedBy = assignedBy;
+  lead.agent = { id: agent.id, name: agent.name, email: agent.email };
+  lead.summary = await briefFor(digest);
+
+  // Recorded before the email so a send failure never loses the lead
+  const leadKey = `leads/${lead.id}`;
+  try {
+    await store.userData.put(email, leadKey, { ...lead, notified: { ok: false, error: "pending" } });
+  } catch (err) {
+    console.error("Lead save error:", err);
+    return respond(500, { error: "Could not record your request" });
+  }
+
+  if (agent.email) {
+    try {
+      const sent = await deliver("email", agent.email, agentEmail(lead, digest));
+      lead.notified = { ok: true, id: sent.id || "" };
+    } catch (err) {
+      console.error("Lead email error:", err);
+      lead.notified = { ok: false, error: "Email send failed" };
+    }
+  } else {
+    console.error(`Lead ${lead.id}: no email configured for agent ${agent.id}`);
+    lead.notified = { ok: false, error: "Agent email not configured" };
+  }
+
+  try {
+    await store.userData.put(email, leadKey, lead);
+  } catch (err) {
+    console.error("Lead update error:", err);
+  }
+
+  const publicAgent = { name: agent.name, title: agent.title || "", page: agent.page || "" };
+  const how = t(lang, { email: "reachEmail", phone: "reachPhone", text: "reachText" }[preference], { email, phone });
+  const reply = t(lang, "handoffDone", { agent: `${agent.name}${agent.title ? `, ${agent.title}` : ""}`, how });
+
+  // The confirmation joins the transcript so a resumed chat shows it
+  if (convo && chats) {
+    convo.handoff = { leadId: lead.id, agent: publicAgent, at: lead.createdAt };
+    appendTurn(convo, "assistant", reply);
+    try {
+      await saveConversation(chats, convo);
+    } catch (err) {
+      console.error("Conversation save error:", err);
+    }
+  }
+
+  return respond(200, {
+    ok: true,
+    leadId: lead.id,
+    reply,
+    agent: publicAgent,
+    assignedBy,
+    notified: lead.notified.ok
+  });
+};
@@ -0,0 +1,289 @@
+// netlify/functions/lib/amortization.js
+//
+// PURPOSE:
+// - Month-by-month amortization for amortization.js (and anything that
+//   charts or prints a loan): principal/interest split, extra principal,
+//   PMI until it drops off, escrow for taxes and insurance, yearly roll-ups
+//   with equity, payoff date and totals
+// - amortize(terms) → { loan, piti, monthly, yearly, totals, payoff, pmi, extra }
+//
+// TERMS (validated by validateTerms; money is $, rates are %):
+//   loanAmount                 principal borrowed
+//   homeValue                  original value for LTV (default loanAmount)
+//   apr, termYears             note rate and term
+//   startDate                  "YYYY-MM" of the first payment
+//   extraMonthly               extra principal every month
+//   extraYearly, extraYearlyMonth   extra principal once a year (month 1–12)
+//   extraOnce: [{ date:"YYYY-MM", amount }]   lump sums
+//   pmi | pmiRate              monthly $, or annual % of the loan
+//   taxes, insurance           monthly escrow $ (or taxesAnnual / insuranceAnnual)
+//   hoa                        monthly $ (paid outside escrow)
+//   tihoa                      taxes + insurance + HOA as one monthly $, when
+//                              only the combined figure is known (the
+//                              dashboard's); its own line, held flat
+//   escrowGrowthPct            yearly increase in taxes + insurance (not hoa
+//                              or tihoa)
+//   appreciationPct            yearly home value growth for equity (default 0)
+//
+// PMI: charged while the actual balance is above 78% of the original value
+// (the Homeowners Protection Act's automatic termination point), so only
+// principal paid — scheduled or extra — brings the drop-off forward;
+// appreciationPct feeds the equity figures, never the PMI test.
+
+const { pmti } = require("./fiduciary");
+
+const PMI_DROP_LTV = 0.78;
+const MAX_TERM_YEARS = 40;
+
+const given = (v) => v !== undefined && v !== null && v !== "";
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// [field, min, max]
+const FIELDS = [
+  ["loanAmount", 1, 1e8],
+  ["homeValue", 1, 1e8],
+  ["apr", 0, 30],
+  ["termYears", 1, MAX_TERM_YEARS],
+  ["extraMonthly", 0, 1e7],
+  ["extraYearly", 0, 1e8],
+  ["extraYearlyMonth", 1, 12],
+  ["pmi", 0, 1e6],
+  ["pmiRate", 0, 5],
+  ["taxes", 0, 1e6],
+  ["insurance", 0, 1e6],
+  ["taxesAnnual", 0, 1e7],
+  ["insuranceAnnual", 0, 1e7],
+  ["hoa", 0, 1e6],
+  ["tihoa", 0, 1e6],
+  ["escrowGrowthPct", -50, 50],
+  ["appreciationPct", -50, 50]
+];
+
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// → [{ field, error }], empty when usable
+function validateTerms(t) {
+  const errors = [];
+  for (const [field, min, max] of FIELDS) {
+    if (!given(t[field])) continue;
+    const n = Number(t[field]);
+    if (!Number.isFinite(n) || n < min || n > max) errors.push({ field, error: `${field} must be a number from ${min} to ${max}` });
+  }
+  if (!given(t.loanAmount)) errors.push({ field: "loanAmount", error: "loanAmount required" });
+  if (!given(t.apr)) errors.push({ field: "apr", error: "apr required" });
+  if (given(t.startDate) && !MONTH_RE.test(String(t.startDate))) errors.push({ field: "startDate", error: "startDate must be YYYY-MM" });
+  if (given(t.extraOnce)) {
+    if (!Array.isArray(t.extraOnce) || t.extraOnce.length > 60) {
+      errors.push({ field: "extraOnce", error: "extraOnce must be a list of up to 60 { date, amount }" });
+    } else {
+      t.extraOnce.forEach((x, i) => {
+        if (!x || !MONTH_RE.test(String(x.date)) || !(Number(x.amount) > 0)) {
+          errors.push({ field: `extraOnce[${i}]`, error: "needs date YYYY-MM and a positive amount" });
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+// "YYYY-MM" + n months
+function addMonths(ym, n) {
+  const [y, m] = ym.split("-").map(Number);
+  const i = y * 12 + (m - 1) + n;
+  return `${Math.floor(i / 12)}-${String((i % 12) + 1).padStart(2, "0")}`;
+}
+
+// The month after the current one (a typical first payment date)
+function defaultStart(now = new Date()) {
+  return addMonths(`${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, "0")}`, 1);
+}
+
+function normalizeTerms(t) {
+  const num = (field, d = 0) => (given(t[field]) ? Number(t[field]) : d);
+  const loanAmount = num("loanAmount");
+  const termMonths = Math.round(num("termYears", 30) * 12);
+  return {
+    loanAmount,
+    homeValue: num("homeValue", loanAmount),
+    apr: num("apr"),
+    termMonths,
+    startDate: given(t.startDate) ? String(t.startDate) : defaultStart(),
+    extraMonthly: num("extraMonthly"),
+    extraYearly: num("extraYearly"),
+    extraYearlyMonth: num("extraYearlyMonth", 12),
+    extraOnce: (Array.isArray(t.extraOnce) ? t.extraOnce : []).reduce((acc, x) => {
+      acc[x.date] = (acc[x.date] || 0) + Number(x.amount);
+      return acc;
+    }, {}),
+    pmi: given(t.pmi) ? Number(t.pmi) : loanAmount * num("pmiRate") / 100 / 12,
+    taxes: given(t.taxes) ? Number(t.taxes) : num("taxesAnnual") / 12,
+    insurance: given(t.insurance) ? Number(t.insurance) : num("insuranceAnnual") / 12,
+    hoa: num("hoa"),
+    tihoa: num("tihoa"),
+    escrowGrowth: num("escrowGrowthPct") / 100,
+    appreciation: num("appreciationPct") / 100
+  };
+}
+
+// One pass over the loan; extra: false → the plain schedule (for comparison)
+function runSchedule(n, { extra = true } = {}) {
+  const r = n.apr / 100 / 12;
+  const payment = pmti(n.loanAmount, r, n.termMonths);
+  const pmiLimit = n.homeValue * PMI_DROP_LTV;
+
+  const monthly = [];
+  let balance = n.loanAmount;
+  // first payment month without PMI (1 when the loan starts at or under 78%;
+  // null when the loan is paid off before PMI would drop)
+  let pmiDrop = balance <= pmiLimit ? 1 : null;
+  for (let i = 0; i < n.termMonths && balance > 0.005; i++) {
+    const date = addMonths(n.startDate, i);
+    const yearIdx = Math.floor(i / 12);
+    const interest = balance * r;
+    const principal = Math.min(balance, payment - interest);
+    let extraPaid = 0;
+    if (extra) {
+      const month = Number(date.slice(5));
+      extraPaid = n.extraMonthly
+        + (month === n.extraYearlyMonth ? n.extraYearly : 0)
+        + (n.extraOnce[date] || 0);
+      extraPaid = Math.min(extraPaid, balance - principal);
+    }
+    const pmi = pmiDrop === null ? n.pmi : 0;
+    const escrowGrowth = Math.pow(1 + n.escrowGrowth, yearIdx);
+    const taxes = n.taxes * escrowGrowth;
+    const insurance = n.insurance * escrowGrowth;
+    balance = Math.max(0, balance - principal - extraPaid);
+    // the next payment goes without PMI — unless this one paid the loan off
+    if (pmiDrop === null && balance <= pmiLimit && balance > 0.005 && i + 1 < n.termMonths) pmiDrop = i + 2;
+
+    monthly.push({
+      n: i + 1,
+      date,
+      payment: round2(principal + interest),
+      principal: round2(principal),
+      interest: round2(interest),
+      extra: round2(extraPaid),
+      pmi: round2(pmi),
+      taxes: round2(taxes),
+      insurance: round2(insurance),
+      escrow: round2(taxes + insurance),
+      hoa: round2(n.hoa),
+      tihoa: round2(n.tihoa),
+      total: round2(principal + interest + extraPaid + pmi + taxes + insurance + n.hoa + n.tihoa),
+      balance: round2(balance),
+      ltv: Number((balance / n.homeValue).toFixed(4))
+    });
+  }
+  return { payment, monthly, pmiDrop };
+}
+
+// Loan-year roll-ups (months 1–12 = year 1) with equity at year end
+function yearly(monthly, n) {
+  const years = [];
+  for (let i = 0; i < monthly.length; i += 12) {
+    const rows = monthly.slice(i, i + 12);
+    const sum = (k) => round2(rows.reduce((a, m) => a + m[k], 0));
+    const year = i / 12 + 1;
+    const last = rows[rows.length - 1];
+    const value = n.homeValue * Math.pow(1 + n.appreciation, year);
+    years.push({
+      year,
+      from: rows[0].date,
+      to: last.date,
+      principal: sum("principal"),
+      interest: sum("interest"),
+      extra: sum("extra"),
+      pmi: sum("pmi"),
+      escrow: sum("escrow"),
+      hoa: sum("hoa"),
+      tihoa: sum("tihoa"),
+      total: sum("total"),
+      endBalance: last.balance,
+      homeValue: round2(value),
+      equity: round2(value - last.balance),
+      equityPct: Number(((value - last.balance) / value).toFixed(4))
+    });
+  }
+  return years;
+}
+
+function totalsOf(monthly) {
+  const sum = (k) => round2(monthly.reduce((a, m) => a + m[k], 0));
+  return {
+    months: monthly.length,
+    principal: round2(sum("principal") + sum("extra")),
+    interest: sum("interest"),
+    extra: sum("extra"),
+    pmi: sum("pmi"),
+    escrow: sum("escrow"),
+    hoa: sum("hoa"),
+    tihoa: sum("tihoa"),
+    paid: sum("total")
+  };
+}
+
+// terms: validated (validateTerms) → the full schedule
+function amortize(terms) {
+  const n = normalizeTerms(terms);
+  const run = runSchedule(n);
+  const totals = totalsOf(run.monthly);
+  const first = run.monthly[0];
+  const last = run.monthly[run.monthly.length - 1];
+
+  const hasExtra = n.extraMonthly > 0 || n.extraYearly > 0 || Object.keys(n.extraOnce).length > 0;
+  let extra = null;
+  if (hasExtra) {
+    const plain = runSchedule(n, { extra: false });
+    const plainTotals = totalsOf(plain.monthly);
+    extra = {
+      monthsSaved: plain.monthly.length - run.monthly.length,
+      interestSaved: round2(plainTotals.interest - totals.interest),
+      pmiSaved: round2(plainTotals.pmi - totals.pmi),
+      payoffWithout: plain.monthly[plain.monthly.length - 1].date
+    };
+  }
+
+  return {
+    loan: {
+      amount: round2(n.loanAmount),
+      homeValue: round2(n.homeValue),
+      ltv: Number((n.loanAmount / n.homeValue).toFixed(4)),
+      apr: n.apr,
+      termMonths: n.termMonths,
+      startDate: n.startDate,
+      payment: round2(run.payment)
+    },
+    piti: {
+      principalAndInterest: round2(run.payment),
+      taxes: first.taxes,
+      insurance: first.insurance,
+      escrow: first.escrow,
+      pmi: first.pmi,
+      hoa: first.hoa,
+      tihoa: first.tihoa,
+      total: round2(run.payment + first.escrow + first.pmi + first.hoa + first.tihoa)
+    },
+    monthly: run.monthly,
+    yearly: yearly(run.monthly, n),
+    totals,
+    payoff: { date: last.date, months: run.monthly.length },
+    pmi: n.pmi > 0
+      ? {
+          monthly: round2(n.pmi),
+          dropLtv: PMI_DROP_LTV,
+          dropMonth: run.pmiDrop,
+          dropDate: run.pmiDrop ? addMonths(n.startDate, run.pmiDrop - 1) : null,
+          total: totals.pmi
+        }
+      : null,
+    extra
+  };
+}
+
+module.exports = {
+  PMI_DROP_LTV,
+  validateTerms,
+  addMonths,
+  amortize,
+};
@@ -0,0 +1,164 @@
+// netlify/functions/lib/conversations.js
+//
+// PURPOSE:
+// - Server-side Ask Elena transcripts keyed by a conversation id
+// - Bounded model window: only the last ELENA_HISTORY_TURNS turns go to the
+//   model verbatim; older turns are folded into a running summary
+// - Stored in Netlify Blobs (CHAT_STORE overrides; falls back to the auth
+//   store backend off-Netlify) under userData "conversations/<id>"
+//   owner = verified email, or "anonymous" for homepage visitors
+// - Anonymous chats are bound to a random key the page keeps (issueKey);
+//   the doc stores only its hash. Resuming, continuing or claiming one
+//   (a visitor who verifies mid-chat) needs the key, so knowing the id is
+//   not enough to read or take over someone else's chat
+//
+// DOC:
+//   { id, owner, createdAt, updatedAt, keyHash?,  // keyHash: anonymous only
+//     summary, summarizedThrough,          // last turn n folded into summary
+//     turns: [{ n, role, content, at }] }  // capped at MAX_STORED_TURNS
+
+const crypto = require("crypto");
+const { createStore, backendName } = require("./store");
+
+const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : d);
+
+const HISTORY_WINDOW = num(process.env.ELENA_HISTORY_TURNS, 12);
+const SUMMARY_BATCH = 6;          // fold once this many turns sit outside the window
+const MAX_STORED_TURNS = 60;      // what a reload can show
+const MAX_TURN_CHARS = 4000;
+const ANON = "anonymous";
+
+const keyOf = (id) => `conversations/${id}`;
+const validId = (id) => /^[0-9a-f-]{36}$/i.test(String(id || ""));
+
+function chatBackend(event) {
+  const explicit = (process.env.CHAT_STORE || "").toLowerCase();
+  if (explicit) return explicit;
+  if ((event && event.blobs) || process.env.NETLIFY_BLOBS_CONTEXT) return "blobs";
+  return backendName(event);
+}
+
+function chatStore(event) {
+  return createStore(event, chatBackend(event));
+}
+
+function newConversation(owner) {
+  const now = new Date().toISOString();
+  return { id: crypto.randomUUID(), owner, createdAt: now, updatedAt: now, summary: "", summarizedThrough: 0, turns: [] };
+}
+
+const hashKey = (key) => crypto.createHash("sha256").update(String(key)).digest();
+
+// Binds an anonymous conversation to a new key → the key (give it to the page once)
+function issueKey(convo) {
+  const key = crypto.randomBytes(24).toString("base64url");
+  convo.keyHash = hashKey(key).toString("hex");
+  return key;
+}
+
+function keyMatches(convo, key) {
+  if (!convo.keyHash || !key) return false;
+  const stored = Buffer.from(convo.keyHash, "hex");
+  const given = hashKey(key);
+  return stored.length === given.length && crypto.timingSafeEqual(stored, given);
+}
+
+// Finds the conversation for this caller. A visitor who verifies mid-chat
+// keeps their anonymous conversation (key = the one issueKey gave the page):
+// it is moved under their email. Without the matching key → null.
+async function loadConversation(store, id, email, key) {
+  if (!validId(id)) return null;
+  if (email) {
+    const mine = await store.userData.get(email, keyOf(id));
+    if (mine) return mine;
+  }
+  const anon = await store.userData.get(ANON, keyOf(id));
+  if (!anon || !keyMatches(anon, key)) return null;
+  if (email) {
+    anon.owner = email;
+    delete anon.keyHash;
+    await store.userData.put(email, keyOf(id), anon);
+    await store.userData.remove(ANON, keyOf(id));
+  }
+  return anon;
+}
+
+async function saveConversation(store, convo) {
+  convo.updatedAt = new Date().toISOString();
+  await store.userData.put(convo.owner, keyOf(convo.id), convo);
+}
+
+function appendTurn(convo, role, content) {
+  const last = convo.turns[convo.turns.length - 1];
+  const n = (last ? last.n : convo.summarizedThrough) + 1;
+  convo.turns.push({ n, role, content: String(content || "").slice(0, MAX_TURN_CHARS), at: new Date().toISOString() });
+}
+
+// Turns not yet in the summary, oldest first
+const unsummarized = (convo) => convo.turns.filter((t) => t.n > convo.summarizedThrough);
+
+// Chat messages for the model: running summary + last HISTORY_WINDOW turns
+function modelHistory(convo) {
+  const msgs = [];
+  if (convo.summary) {
+    msgs.push({ role: "system", content: `Earlier in this conversation (summary): ${convo.summary}` });
+  }
+  for (const t of unsummarized(convo).slice(-HISTORY_WINDOW)) {
+    msgs.push({ role: t.role, content: t.content });
+  }
+  return msgs;
+}
+
+// No-model fallback: keep the user's questions, newest last, bounded
+function extractiveSummary(previous, turns) {
+  const asks = turns.filter((t) => t.role === "user").map((t) => t.content.replace(/\s+/g, " ").slice(0, 140));
+  const joined = [previous, asks.length ? `User asked about: ${asks.join("; ")}.` : ""].filter(Boolean).join(" ");
+  return joined.length > 1200 ? "…" + joined.slice(-1200) : joined;
+}
+
+// summarizer(previousSummary, turns) → Promise<string>; falls back to extractive
+async function compact(convo, summarizer) {
+  const pending = unsummarized(convo);
+  const overflow = pending.length - HISTORY_WINDOW;
+  if (overflow >= SUMMARY_BATCH) {
+    const batch = pending.slice(0, overflow);
+    let summary = "";
+    try {
+      summary = summarizer ? String((await summarizer(convo.summary, batch)) || "").trim() : "";
+    } catch (err) {
+      console.error("Conversation summarize error:", err);
+    }
+    convo.summary = summary || extractiveSummary(convo.summary, batch);
+    convo.summarizedThrough = batch[batch.length - 1].n;
+  }
+  // Display cap: drop the oldest already-summarized turns
+  while (convo.turns.length > MAX_STORED_TURNS && convo.turns[0].n <= convo.summarizedThrough) {
+    convo.turns.shift();
+  }
+  return convo;
+}
+
+// What the page gets back on resume
+function publicView(convo) {
+  return {
+    conversationId: convo.id,
+    summary: convo.summary,
+    turns: convo.turns.map(({ role, content, at }) => ({ role, content, at })),
+    updatedAt: convo.updatedAt,
+  };
+}
+
+module.exports = {
+  ANON,
+  HISTORY_WINDOW,
+  chatBackend,
+  chatStore,
+  newConversation,
+  issueKey,
+  loadConversation,
+  saveConversation,
+  appendTurn,
+  modelHistory,
+  compact,
+  publicView,
+};
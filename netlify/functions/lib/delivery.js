@@ -0,0 +1,133 @@
+// netlify/functions/lib/delivery.js
+//
+// PURPOSE:
+// - Deliver a verification message over a channel: "email" or "sms"
+// - Email goes through Resend (same env as before)
+// - SMS goes through a pluggable provider picked by SMS_PROVIDER
+//
+// SMS PROVIDER INTERFACE:
+//   { name: string, send({ to, text }) → Promise<{ id?: string }> }
+//
+// BUILT-IN PROVIDERS (SMS_PROVIDER):
+//   "twilio"   TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM
+//   "file"     appends JSON lines to SMS_OUTBOX_FILE (default /tmp/sms-outbox.jsonl)
+//   "console"  logs the message, code included
+//
+// With no SMS_PROVIDER and no Twilio env, console is the fallback only on a
+// local run (lib/env.js); in production smsProvider() returns null and
+// send-code.js answers "SMS not configured" instead of logging the code.
+// console and file can still be chosen in production by naming them.
+
+const fs = require("fs");
+const { Resend } = require("resend");
+const { isLocalDev } = require("./env");
+
+const CHANNELS = ["email", "sms"];
+
+/* ---------------- SMS providers ---------------- */
+const consoleProvider = {
+  name: "console",
+  async send({ to, text }) {
+    console.log(`[sms:console] → ${to}: ${text}`);
+    return { id: `console-${Date.now()}` };
+  },
+};
+
+const fileProvider = {
+  name: "file",
+  async send({ to, text }) {
+    const file = process.env.SMS_OUTBOX_FILE || "/tmp/sms-outbox.jsonl";
+    const id = `file-${Date.now()}`;
+    const line = JSON.stringify({ id, to, text, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(file, line + "\n", "utf8");
+    return { id };
+  },
+};
+
+const twilioProvider = {
+  name: "twilio",
+  async send({ to, text }) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const token = process.env.TWILIO_AUTH_TOKEN;
+    const from = process.env.TWILIO_FROM;
+    if (!sid || !token || !from) throw new Error("Twilio env not configured");
+
+    const resp = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        Authorization: "Basic " + Buffer.from(`${sid}:${token}`).toString("base64"),
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({ To: to, From: from, Body: text }).toString(),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(`Twilio HTTP ${resp.status} ${data.message || ""}`.trim());
+    return { id: data.sid };
+  },
+};
+
+const SMS_PROVIDERS = {
+  console: consoleProvider,
+  file: fileProvider,
+  twilio: twilioProvider,
+};
+
+function registerSmsProvider(name, provider) {
+  SMS_PROVIDERS[name] = provider;
+}
+
+// → provider | null (nothing configured outside a local run)
+function smsProvider() {
+  const name = (process.env.SMS_PROVIDER || "").toLowerCase();
+  if (name) return SMS_PROVIDERS[name] || null;
+  if (process.env.TWILIO_ACCOUNT_SID) return SMS_PROVIDERS.twilio;
+  return isLocalDev() ? SMS_PROVIDERS.console : null;
+}
+
+/* ---------------- helpers ---------------- */
+
+// US-centric E.164 normalizer: "(210) 555-0100" → "+12105550100"
+function normalizePhone(raw) {
+  const s = String(raw || "").trim();
+  const digits = s.replace(/\D/g, "");
+  if (s.startsWith("+") && digits.length >= 8 && digits.length <= 15) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return "";
+}
+
+/* ---------------- entry ---------------- */
+
+// message: { subject, text, html, sms }
+async function deliver(channel, to, message) {
+  if (channel === "sms") {
+    const provider = smsProvider();
+    if (!provider) throw new Error("SMS not configured");
+    const res = await provider.send({ to, text: message.sms || message.text });
+    return { channel, provider: provider.name, id: res && res.id };
+  }
+
+  const resend = new Resend(process.env.RESEND_API_KEY);
+  const fromAddress =
+    process.env.EMAIL_FROM ||
+    process.env.FROM_EMAIL ||
+    "RealtySaSS <noreply@example.com>";
+
+  const res = await resend.emails.send({
+    from: fromAddress,
+    to: [to],
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+  });
+  if (res && res.error) throw new Error(res.error.message || "Resend error");
+  return { channel: "email", provider: "resend", id: res && res.data && res.data.id };
+}
+
+module.exports = {
+  CHANNELS,
+  deliver,
+  normalizePhone,
+  registerSmsProvider,
+  smsProvider,
+};
@@ -0,0 +1,18 @@
+// netlify/functions/lib/env.js
+//
+// PURPOSE:
+// - One answer to "is this a local run?" for the fallbacks that must never
+//   be picked silently in production (lib/store.js in-memory store,
+//   lib/delivery.js console/file SMS)
+//
+// LOCAL:
+//   NETLIFY_DEV=true                 `netlify dev`
+//   NODE_ENV=development | test      scripts, `npm test`
+
+function isLocalDev() {
+  if (process.env.NETLIFY_DEV === "true") return true;
+  const nodeEnv = (process.env.NODE_ENV || "").toLowerCase();
+  return nodeEnv === "development" || nodeEnv === "test";
+}
+
+module.exports = { isLocalDev };
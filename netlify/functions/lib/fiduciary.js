@@ -0,0 +1,180 @@
+// netlify/functions/lib/fiduciary.js
+//
+// PURPOSE:
+// - The fiduciary math shared by summarize.js and ask-elena.js:
+//   computeKPIs(snapshot) → ratios/stress/targets, gradeLetter(kpis) → "B+"
+//   (the grade itself, with its reasons, is lib/grading.js)
+// - groundingFacts(snapshot) → the compact, pre-computed figures Elena is
+//   allowed to quote in chat (so "can I afford $350k?" uses real numbers)
+//
+// SNAPSHOT (realtysass.bridge from financial-dashboard.html → buildBridgePayload):
+//   income, expenses, savings, housing     monthly $ (expenses exclude the
+//                                          savings transfer; savings = that
+//                                          monthly transfer)
+//   savingsBalance                         $ already saved → runway; older
+//                                          snapshots without it used savings
+//                                          (stored ones: read via storedBridge)
+//   creditScore, apr, termYears            loan terms (apr falls back to scoreAPR)
+//   price, dpAmt, dpPct, tihoa, pmi        current purchase scenario
+//   loanAmount                             optional; else price − dpAmt
+
+const { formatters, t } = require("./i18n");
+const { GRADES, grade } = require("./grading");
+
+// English formatting; pass a lang to groundingFacts for the client's locale
+const { USD, PCT0, PCT0dir } = formatters("en");
+
+function pmti(P, r, n) { if (r === 0) return P / n; const x = Math.pow(1 + r, n); return P * ((r * x) / (x - 1)); }
+function scoreAPR(s) {
+  s = Number(s) || 720;
+  if (s >= 780) return 6.50;
+  if (s >= 760) return 6.75;
+  if (s >= 720) return 7.00;
+  if (s >= 700) return 7.20;
+  if (s >= 680) return 7.35;
+  if (s >= 660) return 7.85;
+  if (s >= 640) return 8.25;
+  if (s >= 620) return 9.25;
+  return 9.95;
+}
+
+function computeKPIs(s) {
+  const income = +s.income || 0;
+  const expenses = +s.expenses || 0;
+  const savings = +s.savings || 0;
+  const housing = +s.housing || 0;
+  const savingsBalance = s.savingsBalance != null ? +s.savingsBalance || 0 : savings;
+
+  const totalShare = income > 0 ? (expenses + savings + housing) / income : 1;
+  const housingShare = income > 0 ? housing / income : 0;
+  const dti = income > 0 ? (expenses + housing) / income : 1;
+  const freePost = income - expenses - savings - housing;
+
+  const coverage = expenses > 0 ? income / expenses : income > 0 ? Infinity : 0;
+  const runwayMonths = expenses > 0 ? savingsBalance / expenses : 0;
+
+  // Stress: +200bps APR & +5% expenses using price/dp when available
+  const stressApr =
+    (Number(s.apr) || scoreAPR(Number(s.creditScore || 720))) + 2.0;
+  const price = Number(s.price) || 0;
+  const dpAmt = Number(s.dpAmt) || 0;
+  // loanAmount: set when the loan is not just price − down (lib/va.js: financed funding fee)
+  const loan = Number(s.loanAmount) > 0 ? Number(s.loanAmount) : Math.max(0, price - dpAmt);
+  const mRate = stressApr / 100 / 12;
+  const termN = Math.max(1, (Number(s.termYears) || 30) * 12);
+  const pAndI_stress = loan > 0 ? pmti(loan, mRate, termN) : 0;
+  const housing_stress =
+    pAndI_stress + Number(s.tihoa || 0) + Number(s.pmi || 0);
+  const expenses_stress = expenses * 1.05;
+
+  const dti_stress =
+    income > 0 ? (expenses_stress + housing_stress) / income : 1;
+  const freePost_stress =
+    income - expenses_stress - savings - housing_stress;
+
+  const targets = {
+    commitmentMax: 0.70,
+    housingLaneMin: 0.28,
+    housingLaneMax: 0.33,
+    runwayMinMonths: 3,
+    coverageMin: 1.3
+  };
+
+  return {
+    income, expenses, savings, savingsBalance, housing, freePost,
+    totalShare, housingShare, dti, coverage, runwayMonths,
+    stress: { dti: dti_stress, freePost: freePost_stress },
+    targets
+  };
+}
+
+// The letter alone; lib/grading.js grade(k) has the score and the reasons
+function gradeLetter(k) {
+  return grade(k).letter;
+}
+
+// True when the snapshot carries enough to compute anything meaningful
+function hasFinancials(s) {
+  return !!s && typeof s === "object" && Number(s.income) > 0;
+}
+
+// The bridge saved through profile.js (dashboard doc) → snapshot | null.
+// Bridges saved before savingsBalance existed carried the balance in
+// savings and the monthly contribution inside expenses: read them that way
+// (savings 0, so the contribution is counted once) until the dashboard
+// saves again.
+function storedBridge(doc) {
+  const b = doc && doc.bridge;
+  if (!b || typeof b !== "object" || Array.isArray(b)) return null;
+  if (b.savingsBalance != null) return b;
+  return { ...b, savings: 0, savingsBalance: +b.savings || 0 };
+}
+
+// Highest price whose housing (P&I + TI/HOA + PMI) stays at the top of the
+// 28–33% lane, at the snapshot's APR/term and down payment.
+function laneCeiling(s, k) {
+  const apr = Number(s.apr) || scoreAPR(Number(s.creditScore || 720));
+  const termN = Math.max(1, (Number(s.termYears) || 30) * 12);
+  const fixed = Number(s.tihoa || 0) + Number(s.pmi || 0);
+  const budgetPI = Math.max(0, k.income * k.targets.housingLaneMax - fixed);
+  const maxLoan = budgetPI / pmti(1, apr / 100 / 12, termN);
+  return { apr, termYears: termN / 12, budgetPI, maxLoan, maxPrice: maxLoan + (Number(s.dpAmt) || 0) };
+}
+
+// → null when there is nothing to ground, else { grade, figures, ratios, ... }
+// lang ("en" | "es") picks the number formatting and wording (lib/i18n.js)
+function groundingFacts(s, lang = "en") {
+  if (!hasFinancials(s)) return null;
+  const { USD, PCT0, fixed } = formatters(lang);
+  const k = computeKPIs(s);
+  const lane = laneCeiling(s, k);
+  const g = grade(k, lang);
+  return {
+    grade: g.letter,
+    gradeScore: g.score,
+    gradeReasons: g.adjustments.map((a) => a.reason),
+    figures: {
+      monthlyIncome: USD(k.income),
+      monthlyExpenses: USD(k.expenses),
+      monthlySavings: USD(k.savings),
+      savingsOnHand: USD(k.savingsBalance),
+      monthlyHousing: USD(k.housing),
+      freeCashFlow: USD(k.freePost)
+    },
+    ratios: {
+      commitmentShare: PCT0(k.totalShare),
+      housingShare: PCT0(k.housingShare),
+      dti: PCT0(k.dti),
+      coverage: k.coverage === Infinity ? "∞" : fixed(k.coverage, 2) + "×",
+      runway: t(lang, "factsRunway", { months: fixed(k.runwayMonths, 1) })
+    },
+    stress: { dti: PCT0(k.stress.dti), freeCashFlow: USD(k.stress.freePost) },
+    housingLane: {
+      range: t(lang, "factsLaneRange", { min: USD(k.income * k.targets.housingLaneMin), max: USD(k.income * k.targets.housingLaneMax) }),
+      maxPrice: USD(lane.maxPrice),
+      assumptions: t(lang, "factsLaneAssumptions", {
+        apr: fixed(lane.apr, 2),
+        years: lane.termYears,
+        down: USD(s.dpAmt),
+        fixed: USD(Number(s.tihoa || 0) + Number(s.pmi || 0))
+      })
+    },
+    scenario: Number(s.price) > 0 ? { price: USD(s.price), downPayment: USD(s.dpAmt) } : null,
+    creditScore: Number(s.creditScore || 720)
+  };
+}
+
+module.exports = {
+  USD,
+  PCT0,
+  PCT0dir,
+  GRADES,
+  pmti,
+  scoreAPR,
+  computeKPIs,
+  gradeLetter,
+  hasFinancials,
+  laneCeiling,
+  groundingFacts,
+  storedBridge,
+};
@@ -0,0 +1,156 @@
+// netlify/functions/lib/i18n.js
+//
+// PURPOSE:
+// - Language preference for Elena and the memos: "en" (default) | "es"
+// - Locale-aware money / percent / number formatting (es → es-US, so
+//   San Antonio clients see "$1,250" and "2.5", not "1.250 US$")
+// - Short server strings (fallback replies, confirmations, the wording in
+//   grounding facts) in both languages;
+//   long memo text lives next to the memo code (summarize.js, aiou-report.js)
+//
+// RESOLVING THE LANGUAGE (resolveLang):
+//   1) the request's own "lang" ("es", "es-MX", "spanish" → "es")
+//   2) the verified user's saved profile.lang (send-code.js / profile.js)
+//   3) the Accept-Language header
+//   4) "en"
+
+const LANGS = {
+  en: { locale: "en-US", name: "English" },
+  es: { locale: "es-US", name: "Spanish" },
+};
+const DEFAULT_LANG = "en";
+
+// "es-MX" / "ES" / "spanish" / "español" → "es"; unknown → ""
+function normalizeLang(v) {
+  const s = String(v || "").trim().toLowerCase();
+  if (!s) return "";
+  if (s === "spanish" || s === "español" || s === "espanol") return "es";
+  if (s === "english") return "en";
+  const primary = s.split(/[-_]/)[0];
+  return LANGS[primary] ? primary : "";
+}
+
+// "es-MX,es;q=0.9,en;q=0.8" → "es" (highest q that we support)
+function fromAcceptLanguage(header) {
+  const ranked = String(header || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { lang: normalizeLang(tag), q: q ? Number(q.slice(2)) || 0 : 1 };
+    })
+    .filter((x) => x.lang && x.q > 0)
+    .sort((a, b) => b.q - a.q);
+  return ranked.length ? ranked[0].lang : "";
+}
+
+// store: a lib/store.js instance (only read when there is an email and no
+// explicit request language)
+async function resolveLang(event, { requested, email, store } = {}) {
+  const asked = normalizeLang(requested);
+  if (asked) return asked;
+  if (email && store) {
+    try {
+      const saved = normalizeLang((await store.profiles.get(email))?.lang);
+      if (saved) return saved;
+    } catch (err) {
+      console.error("Language preference lookup error:", err);
+    }
+  }
+  const h = event?.headers || {};
+  return fromAcceptLanguage(h["accept-language"] || h["Accept-Language"]) || DEFAULT_LANG;
+}
+
+const localeOf = (lang) => (LANGS[lang] || LANGS[DEFAULT_LANG]).locale;
+
+// → { USD, PCT0, PCT0dir, fixed } bound to the language's locale
+function formatters(lang) {
+  const locale = localeOf(lang);
+  return {
+    USD: (n) =>
+      (Number(n) || 0).toLocaleString(locale, { style: "currency", currency: "USD", maximumFractionDigits: 0 }),
+    PCT0: (x) => `${Math.round((Number(x) || 0) * 100)}%`,
+    PCT0dir: (x) => `${Math.round(Number(x) || 0)}%`,
+    fixed: (n, d) =>
+      (Number(n) || 0).toLocaleString(locale, { minimumFractionDigits: d, maximumFractionDigits: d }),
+  };
+}
+
+// For model prompts: "" in English, else an explicit instruction
+function languageInstruction(lang) {
+  if (lang !== "es") return "";
+  return "Write the entire response in Spanish (US Spanish, formal 'usted'). Keep dollar amounts in USD as given, and keep URLs, the grade letter and acronyms like DTI, VA, BAH, PMI and HOA as they are.";
+}
+
+const MESSAGES = {
+  en: {
+    devEcho: "Elena (dev echo): “{text}” — Add OPENAI_API_KEY (or LLM_PROVIDER=mock) to enable real answers.",
+    fallbackReply: "I’m right here. What would you like to explore next?",
+    alreadyConnected: "You’re already connected with {agent} — they have our conversation and will reach out soon. Anything I can prep for you meanwhile?",
+    handoffDone: "Done — I’ve passed our conversation to {agent}. They’ll reach out {how}.",
+    handoffDuplicate: "{agent} already has this conversation and will be in touch.",
+    reachEmail: "at {email}",
+    reachPhone: "by phone at {phone}",
+    reachText: "by text at {phone}",
+    yourAgent: "your agent",
+    memoSince: "Since {when}: {changes}.",
+    memoSame: "No change since {when}.",
+    memoGradeUp: "your grade rose from {from} to {to}",
+    memoGradeDown: "your grade slipped from {from} to {to}",
+    memoRunwayUp: "your runway improved from {from} to {to} months",
+    memoRunwayDown: "your runway dropped from {from} to {to} months",
+    memoDtiDown: "DTI fell from {from} to {to}",
+    memoDtiUp: "DTI rose from {from} to {to}",
+    memoHousingDown: "housing share eased from {from} to {to}",
+    memoHousingUp: "housing share climbed from {from} to {to}",
+    factsRunway: "{months} months",
+    factsLaneRange: "{min}–{max} per month",
+    factsLaneAssumptions: "{apr}% APR, {years}-yr term, {down} down, {fixed}/mo taxes/insurance/HOA/PMI",
+    rvbYear: "Year {n}",
+    factsRentVsBuyAssumptions: "{appreciation}% appreciation, {rentGrowth}% rent growth, {investReturn}% return on the down payment, {sellingCost}% selling costs",
+  },
+  es: {
+    devEcho: "Elena (eco de desarrollo): “{text}” — Agregue OPENAI_API_KEY (o LLM_PROVIDER=mock) para activar respuestas reales.",
+    fallbackReply: "Aquí estoy. ¿Qué le gustaría explorar ahora?",
+    alreadyConnected: "Ya está en contacto con {agent}: tiene nuestra conversación y se comunicará pronto con usted. ¿Le preparo algo mientras tanto?",
+    handoffDone: "Listo: le pasé nuestra conversación a {agent}. Se comunicará con usted {how}.",
+    handoffDuplicate: "{agent} ya tiene esta conversación y se comunicará con usted.",
+    reachEmail: "a {email}",
+    reachPhone: "por teléfono al {phone}",
+    reachText: "por mensaje de texto al {phone}",
+    yourAgent: "su agente",
+    memoSince: "Desde {when}: {changes}.",
+    memoSame: "Sin cambios desde {when}.",
+    memoGradeUp: "su calificación subió de {from} a {to}",
+    memoGradeDown: "su calificación bajó de {from} a {to}",
+    memoRunwayUp: "su reserva mejoró de {from} a {to} meses",
+    memoRunwayDown: "su reserva bajó de {from} a {to} meses",
+    memoDtiDown: "el DTI bajó de {from} a {to}",
+    memoDtiUp: "el DTI subió de {from} a {to}",
+    memoHousingDown: "la participación de vivienda bajó de {from} a {to}",
+    memoHousingUp: "la participación de vivienda subió de {from} a {to}",
+    factsRunway: "{months} meses",
+    factsLaneRange: "{min}–{max} al mes",
+    factsLaneAssumptions: "{apr}% de tasa anual (APR), plazo de {years} años, {down} de enganche, {fixed}/mes de impuestos/seguro/HOA/PMI",
+    rvbYear: "Año {n}",
+    factsRentVsBuyAssumptions: "{appreciation}% de plusvalía, {rentGrowth}% de aumento de renta, {investReturn}% de rendimiento sobre el enganche, {sellingCost}% de costos de venta",
+  },
+};
+
+// t("es", "handoffDone", { agent: "Ana" }) — falls back to English per key
+function t(lang, key, vars = {}) {
+  const tpl = (MESSAGES[lang] && MESSAGES[lang][key]) || MESSAGES[DEFAULT_LANG][key] || key;
+  return tpl.replace(/\{(\w+)\}/g, (m, name) => (vars[name] == null ? m : String(vars[name])));
+}
+
+module.exports = {
+  LANGS,
+  DEFAULT_LANG,
+  normalizeLang,
+  fromAcceptLanguage,
+  resolveLang,
+  localeOf,
+  formatters,
+  languageInstruction,
+  t,
+};
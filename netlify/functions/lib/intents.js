@@ -0,0 +1,161 @@
+// netlify/functions/lib/intents.js
+//
+// PURPOSE:
+// - Declarative intent routing for Ask Elena (registry: data/intents.json)
+// - Word-boundary + phrase + regex rules, weighted scoring, confidence
+//   threshold, reply templates with configurable links
+// - Every match explains itself: which rules fired, score, confidence,
+//   runner-up
+// - Sample utterances (data/intent-fixtures.json) are replayed by
+//   test/intents.test.js (npm test) so wording changes are checked before shipping
+//
+// SCORING:
+//   score       = Σ weights of matched rules − Σ weights of matched negatives
+//   confidence  = top / (top + runner-up)   (1 when nothing else scored)
+//   match       when score ≥ minScore and confidence ≥ minConfidence
+//
+// CONTEXT:
+//   detectIntent(text, { user, financials }) — an intent listing a flag in
+//   "skipWhen" sits out while that flag is truthy (e.g. the dashboard pitch
+//   is skipped once Elena already has the user's numbers).
+//
+// LANGUAGE:
+//   detectIntent(text, { lang: "es" }) renders the intent's "replies.es"
+//   template when it has one (else "reply"). Matching folds accents, so
+//   Spanish rules can be written "prestamo" and still match "préstamo".
+//
+// HANDOFF:
+//   An intent with "handoff": true (buying intent) returns handoff:true so
+//   ask-elena.js offers the human-agent handoff (handoff.js) with the reply.
+
+const defaultRegistry = require("../data/intents.json");
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "Don’t" → "don't", "préstamo" → "prestamo"; everything but
+// letters/digits/apostrophes → space
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[‘’`]/g, "'")
+    .replace(/[^a-z0-9']+/g, " ")
+    .trim();
+}
+
+function compileRule(rule) {
+  if (rule.word) {
+    const w = rule.word.endsWith("*")
+      ? `${escapeRe(rule.word.slice(0, -1).toLowerCase())}[a-z0-9]*`
+      : escapeRe(rule.word.toLowerCase());
+    return { kind: "word", value: rule.word, weight: rule.weight || 1, on: "norm", re: new RegExp(`\\b${w}\\b`) };
+  }
+  if (rule.phrase) {
+    const p = normalize(rule.phrase).split(" ").map(escapeRe).join("\\s+");
+    return { kind: "phrase", value: rule.phrase, weight: rule.weight || 1, on: "norm", re: new RegExp(`\\b${p}\\b`) };
+  }
+  if (rule.pattern) {
+    return { kind: "pattern", value: rule.pattern, weight: rule.weight || 1, on: "raw", re: new RegExp(rule.pattern, "i") };
+  }
+  throw new Error(`Intent rule needs word, phrase or pattern: ${JSON.stringify(rule)}`);
+}
+
+function compileRegistry(registry) {
+  const defaults = registry.defaults || {};
+  return {
+    version: registry.version,
+    links: registry.links || {},
+    intents: (registry.intents || []).map((it) => ({
+      id: it.id,
+      reply: it.reply || "",
+      replies: it.replies || {},
+      links: it.links || [],
+      skipWhen: it.skipWhen || [],
+      handoff: !!it.handoff,
+      minScore: it.minScore ?? defaults.minScore ?? 2,
+      minConfidence: it.minConfidence ?? defaults.minConfidence ?? 0.6,
+      rules: (it.rules || []).map(compileRule),
+      negative: (it.negative || []).map(compileRule),
+    })),
+  };
+}
+
+function scoreIntent(intent, norm, raw) {
+  const matched = [];
+  let score = 0;
+  for (const r of intent.rules) {
+    if (r.re.test(r.on === "raw" ? raw : norm)) {
+      score += r.weight;
+      matched.push({ rule: r.kind, value: r.value, weight: r.weight });
+    }
+  }
+  for (const r of intent.negative) {
+    if (r.re.test(r.on === "raw" ? raw : norm)) {
+      score -= r.weight;
+      matched.push({ rule: `not-${r.kind}`, value: r.value, weight: -r.weight });
+    }
+  }
+  return { intent, score, matched };
+}
+
+// {{links.dashboard}}, {{user.lastName}} → values (unknown → "")
+function renderTemplate(tpl, ctx) {
+  return String(tpl || "").replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const v = path.split(".").reduce((o, k) => (o == null ? o : o[k]), ctx);
+    return v == null ? "" : String(v);
+  });
+}
+
+// → all intents scored, best first (for debugging / fixtures)
+function rankIntents(text, compiled, ctx = {}) {
+  const raw = String(text || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[‘’`]/g, "'");
+  const norm = normalize(text);
+  return compiled.intents
+    .filter((it) => !it.skipWhen.some((flag) => ctx[flag]))
+    .map((it) => scoreIntent(it, norm, raw))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// → null (let the model answer) or { type, reply, links, match, handoff? }
+function createIntentRouter(registry = defaultRegistry) {
+  const compiled = compileRegistry(registry);
+
+  function detectIntent(text, ctx = {}) {
+    const ranked = rankIntents(text, compiled, ctx);
+    const top = ranked[0];
+    if (!top) return null;
+
+    const runner = ranked[1] || null;
+    const confidence = runner ? top.score / (top.score + runner.score) : 1;
+    if (top.score < top.intent.minScore || confidence < top.intent.minConfidence) return null;
+
+    const links = top.intent.links.map((name) => ({ name, url: compiled.links[name] || "" }));
+    return {
+      type: top.intent.id,
+      reply: renderTemplate(top.intent.replies[ctx.lang] || top.intent.reply, { links: compiled.links, user: ctx.user || {} }),
+      links,
+      ...(top.intent.handoff ? { handoff: true } : {}),
+      match: {
+        intent: top.intent.id,
+        score: top.score,
+        confidence: Math.round(confidence * 100) / 100,
+        matched: top.matched,
+        runnerUp: runner ? { intent: runner.intent.id, score: runner.score } : null,
+        registryVersion: compiled.version,
+      },
+    };
+  }
+
+  return { detectIntent, rank: (text, ctx) => rankIntents(text, compiled, ctx) };
+}
+
+const defaultRouter = createIntentRouter();
+
+module.exports = {
+  detectIntent: defaultRouter.detectIntent,
+  rankIntents: defaultRouter.rank,
+  createIntentRouter,
+  normalize,
+};
@@ -0,0 +1,179 @@
+// netlify/functions/lib/leads.js
+//
+// PURPOSE:
+// - Hand a ready-to-buy Ask Elena chat to a human agent (handoff.js)
+// - Agent roster + specialty keywords: data/agents.json (AGENTS_JSON overrides)
+// - Specialty from the chat text → a matching agent; otherwise round-robin
+// - Conversation digest + the email the agent receives
+//
+// ROUND-ROBIN:
+//   Each assignment is an auth-store event { scope:"assign", key:"agent:<id>" }.
+//   The pool member with the fewest assignments in the last 24h wins, ties go
+//   to roster order — so A, B, C, A, B, C... (Blobs keeps events for 24h).
+//
+// LEAD DOC (userData "leads/<id>" under the lead's email, so privacy.js
+// exports/erases it with everything else):
+//   { id, createdAt, source, conversationId,
+//     contact: { name, email, phone, preference, bestTime, rank, lang },
+//     specialty, assignedBy: "specialty" | "round-robin",
+//     agent: { id, name, email }, summary, notified: { ok, id?, error? } }
+
+const crypto = require("crypto");
+const REGISTRY = require("../data/agents.json");
+const { normalize } = require("./intents");
+
+const ROTATION_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DIGEST_TURNS = 10;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function roster() {
+  let agents = REGISTRY.agents || [];
+  if (process.env.AGENTS_JSON) {
+    try {
+      agents = JSON.parse(process.env.AGENTS_JSON);
+    } catch (err) {
+      console.error("AGENTS_JSON is not valid JSON, using data/agents.json:", err.message);
+    }
+  }
+  return agents
+    .filter((a) => a && a.id && a.active !== false)
+    .map((a) => ({
+      ...a,
+      specialties: a.specialties || [],
+      email:
+        a.email ||
+        process.env[`AGENT_${a.id.toUpperCase().replace(/-/g, "_")}_EMAIL`] ||
+        process.env.LEADS_INBOX ||
+        "",
+    }));
+}
+
+// Same keyword syntax as intents.json words: whole words, trailing * = prefix
+const SPECIALTY_RULES = Object.entries(REGISTRY.specialties || {}).map(([id, s]) => ({
+  id,
+  label: s.label,
+  res: (s.keywords || []).map((k) => {
+    const stem = normalize(k.replace(/\*$/, "")).split(" ").map(escapeRe).join("\\s+");
+    return new RegExp(`\\b${stem}${k.endsWith("*") ? "" : "\\b"}`);
+  }),
+}));
+
+// → the specialty id with the most keyword hits, or "" (ties: registry order)
+function inferSpecialty(text) {
+  const norm = normalize(text);
+  let best = { id: "", hits: 0 };
+  for (const rule of SPECIALTY_RULES) {
+    const hits = rule.res.filter((re) => re.test(norm)).length;
+    if (hits > best.hits) best = { id: rule.id, hits };
+  }
+  return best.id;
+}
+
+const specialtyLabel = (id) => (REGISTRY.specialties?.[id]?.label || "");
+
+// → { agent, assignedBy } | null when nobody is active. Records the assignment.
+async function assignAgent(store, { specialty } = {}) {
+  const agents = roster();
+  if (!agents.length) return null;
+  const specialists = specialty ? agents.filter((a) => a.specialties.includes(specialty)) : [];
+  const pool = specialists.length ? specialists : agents;
+
+  const since = new Date(Date.now() - ROTATION_WINDOW_MS).toISOString();
+  let agent = pool[0];
+  let fewest = Infinity;
+  for (const a of pool) {
+    let count = 0;
+    try {
+      count = await store.events.count("assign", `agent:${a.id}`, since);
+    } catch (err) {
+      // Fail open like the throttle: a lookup hiccup just means roster order
+      console.error("Assignment lookup error:", err);
+    }
+    if (count < fewest) {
+      fewest = count;
+      agent = a;
+    }
+  }
+
+  try {
+    await store.events.add([{ scope: "assign", key: `agent:${agent.id}`, created_at: new Date().toISOString() }]);
+  } catch (err) {
+    console.error("Assignment insert error:", err);
+  }
+  return { agent, assignedBy: specialists.length ? "specialty" : "round-robin" };
+}
+
+// Running summary (if the chat was long enough to compact) + the last turns
+function conversationDigest(convo) {
+  const turns = (convo?.turns || []).slice(-DIGEST_TURNS);
+  return {
+    summary: convo?.summary || "",
+    turns: turns.map((t) => ({ role: t.role, content: t.content })),
+    text: turns.map((t) => `${t.role === "user" ? "Client" : "Elena"}: ${t.content}`).join("\n"),
+  };
+}
+
+function newLead({ contact, conversationId, specialty, source }) {
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    source: source || "ask-elena",
+    conversationId: conversationId || "",
+    contact,
+    specialty: specialty || "",
+  };
+}
+
+const esc = (s) =>
+  String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" }[c]));
+
+// → { subject, text, html } for lib/delivery.js
+function agentEmail(lead, digest) {
+  const c = lead.contact;
+  const who = [c.rank, c.name].filter(Boolean).join(" ");
+  const reach = [
+    c.email && `Email: ${c.email}`,
+    c.phone && `Phone: ${c.phone}`,
+    c.preference && `Prefers: ${c.preference}`,
+    c.bestTime && `Best time: ${c.bestTime}`,
+    c.lang === "es" && "Language: Spanish",
+  ].filter(Boolean);
+  const focus = specialtyLabel(lead.specialty);
+  const subject = `New Elena lead: ${who || c.email}${focus ? ` (${focus})` : ""}`;
+
+  const text = [
+    `Hi ${lead.agent.name},`,
+    "",
+    `${who || "A client"} asked Elena to connect them with an agent.`,
+    ...reach,
+    focus && `Focus: ${focus}`,
+    lead.summary && `\nSummary:\n${lead.summary}`,
+    digest.text && `\nLast messages:\n${digest.text}`,
+    "",
+    `Lead ${lead.id} · ${lead.createdAt}`,
+  ].filter((l) => typeof l === "string").join("\n");
+
+  const html = `
+    <div style="font-family:Arial,sans-serif;color:#1a1a1a;max-width:600px;">
+      <h2 style="margin:0 0 8px;">New lead from Ask Elena</h2>
+      <p>Hi ${esc(lead.agent.name)}, <strong>${esc(who || "a client")}</strong> asked Elena to connect them with an agent.</p>
+      <p>${reach.map(esc).join("<br />")}${focus ? `<br />Focus: ${esc(focus)}` : ""}</p>
+      ${lead.summary ? `<h3 style="margin:16px 0 4px;">Summary</h3><p>${esc(lead.summary)}</p>` : ""}
+      ${digest.turns.length ? `<h3 style="margin:16px 0 4px;">Last messages</h3>
+      ${digest.turns.map((t) => `<p style="margin:4px 0;"><strong>${t.role === "user" ? "Client" : "Elena"}:</strong> ${esc(t.content)}</p>`).join("")}` : ""}
+      <p style="font-size:12px;color:#777;margin-top:24px;">Lead ${esc(lead.id)} · ${esc(lead.createdAt)}</p>
+    </div>
+  `;
+  return { subject, text, html };
+}
+
+module.exports = {
+  roster,
+  inferSpecialty,
+  specialtyLabel,
+  assignAgent,
+  conversationDigest,
+  newLead,
+  agentEmail,
+};
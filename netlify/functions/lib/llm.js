@@ -0,0 +1,256 @@
+// netlify/functions/lib/llm.js
+//
+// PURPOSE:
+// - One chat-completions client for ask-elena.js, summarize.js, aiou-report.js
+// - Per-function model / temperature / max tokens / timeout / retries
+// - Any OpenAI-compatible server (LLM_BASE_URL → a local server works)
+// - "mock" provider: deterministic replies with no network, so the memo and
+//   chat flows run end-to-end in dev and tests
+// - PII never leaves: emails, phones, SSNs, DoD IDs and street addresses are
+//   swapped for placeholders before the request and restored in the reply,
+//   streamed deltas and tool-call arguments (lib/redact.js)
+//
+// ENV:
+//   LLM_PROVIDER        "openai" (default) | "mock"
+//   LLM_BASE_URL        default https://api.openai.com/v1
+//   LLM_API_KEY         falls back to OPENAI_API_KEY (optional with a custom base URL)
+//   LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS, LLM_TIMEOUT_MS, LLM_RETRIES
+//                       global overrides
+//   <FN>_MODEL, <FN>_TEMPERATURE, <FN>_MAX_TOKENS, <FN>_TIMEOUT_MS, <FN>_RETRIES
+//                       per function, FN = ELENA | SUMMARIZE | AIOU
+//
+// USAGE:
+//   const llm = createLLM("summarize");
+//   if (!llm.available) ...                       // no key, no local server
+//   const { content, toolCalls } = await llm.complete(messages, { tools, onDelta });
+//
+//   → content / deltas / tool arguments already carry the real values again;
+//     redacted = { EMAIL: 1, ... } counts what was masked ({ redact: false } opts out)
+//
+// complete() throws Error (err.status = HTTP status when there was one)
+// after the last retry. Streaming requests are only retried before the
+// first token reaches onDelta.
+
+const { createRedactor } = require("./redact");
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+// Code defaults per function; env overrides win
+const FUNCTION_DEFAULTS = {
+  elena:     { model: "gpt-4o-mini", temperature: 0.4,  maxTokens: 500,  timeoutMs: 20000, retries: 1 },
+  summarize: { model: "gpt-4o-mini", temperature: 0.25, maxTokens: 1200, timeoutMs: 25000, retries: 1 },
+  aiou:      { model: "gpt-4o-mini", temperature: 0.4,  maxTokens: null, timeoutMs: 25000, retries: 1 },
+};
+
+const num = (v) => (v === undefined || v === "" ? undefined : Number.isFinite(Number(v)) ? Number(v) : undefined);
+
+function resolveConfig(fn, overrides = {}) {
+  const env = process.env;
+  const P = fn.toUpperCase();
+  const base = FUNCTION_DEFAULTS[fn] || FUNCTION_DEFAULTS.elena;
+  const pick = (key, envKey, parse = (v) => v) =>
+    overrides[key] ?? parse(env[`${P}_${envKey}`]) ?? parse(env[`LLM_${envKey}`]) ?? base[key];
+
+  const baseUrl = (env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  return {
+    fn,
+    provider: (overrides.provider || env.LLM_PROVIDER || "openai").toLowerCase(),
+    baseUrl,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || "",
+    customBase: baseUrl !== DEFAULT_BASE_URL,
+    model: pick("model", "MODEL", (v) => v || undefined),
+    temperature: pick("temperature", "TEMPERATURE", num),
+    maxTokens: pick("maxTokens", "MAX_TOKENS", num),
+    timeoutMs: pick("timeoutMs", "TIMEOUT_MS", num),
+    retries: Math.max(0, pick("retries", "RETRIES", num) || 0),
+  };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const retryable = (err) => !err.status || err.status === 408 || err.status === 429 || err.status >= 500;
+
+/* ===================== OpenAI-compatible ===================== */
+
+// Reads an SSE completion stream → { content, toolCalls }; tool-call
+// fragments are stitched back together by index.
+async function readStream(body, onDelta) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const calls = [];
+  let buffer = "";
+  let full = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop(); // keep the partial line for the next chunk
+    for (const line of lines) {
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (!data || data === "[DONE]") continue;
+      let delta = {};
+      try {
+        delta = JSON.parse(data)?.choices?.[0]?.delta || {};
+      } catch (_) {
+        continue; // keep-alive / malformed line
+      }
+      if (delta.content) {
+        full += delta.content;
+        onDelta(delta.content);
+      }
+      for (const part of delta.tool_calls || []) {
+        const call = (calls[part.index] ||= { id: "", type: "function", function: { name: "", arguments: "" } });
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      }
+    }
+  }
+  return { content: full.trim(), toolCalls: calls.filter(Boolean) };
+}
+
+async function openaiOnce(cfg, messages, opts) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), cfg.timeoutMs);
+  const headers = { "Content-Type": "application/json" };
+  if (cfg.apiKey) headers.Authorization = `Bearer ${cfg.apiKey}`;
+
+  const temperature = opts.temperature ?? cfg.temperature;
+  const maxTokens = opts.max_tokens ?? cfg.maxTokens;
+  let resp;
+  try {
+    resp = await fetch(`${cfg.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      signal: controller.signal,
+      body: JSON.stringify({
+        model: cfg.model,
+        ...(temperature != null ? { temperature } : {}),
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        ...(opts.tools ? { tools: opts.tools } : {}),
+        ...(opts.onDelta ? { stream: true } : {}),
+        messages,
+      }),
+    });
+    if (!resp.ok) {
+      const detail = await resp.text().catch(() => "");
+      const err = new Error(`LLM HTTP ${resp.status}`);
+      err.status = resp.status;
+      err.detail = detail;
+      throw err;
+    }
+    if (!opts.onDelta) {
+      const data = await resp.json();
+      const msg = data?.choices?.[0]?.message || {};
+      return { content: (msg.content || "").trim(), toolCalls: msg.tool_calls || [] };
+    }
+  } catch (err) {
+    if (err.name === "AbortError") {
+      const e = new Error(`LLM timeout after ${cfg.timeoutMs}ms`);
+      e.status = 408;
+      throw e;
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+  // streaming: the timeout covered time-to-first-byte; tokens may take longer
+  return readStream(resp.body, opts.onDelta);
+}
+
+/* ===================== Mock ===================== */
+
+// Stable 32-bit FNV-1a, so the same prompt always yields the same reply
+function digest(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, "0");
+}
+
+function mockReply(cfg, messages) {
+  const system = messages.filter((m) => m.role === "system").map((m) => m.content || "").join("\n");
+  const lastUser = [...messages].reverse().find((m) => m.role === "user");
+  const prompt = String(lastUser?.content || "");
+  const tag = digest(`${cfg.model}|${system}|${prompt}`);
+
+  // Memo prompts (summarize / aiou) ask for exactly five paragraphs
+  if (/exactly\s+(five|5)\b[^.]*paragraphs/i.test(system)) {
+    return ["Purpose", "Targets", "Risks", "Playbook", "Next steps"]
+      .map((label, i) => `${label}: mock memo paragraph ${i + 1} of 5 (${cfg.fn}, ${tag}).`)
+      .join("\n\n");
+  }
+
+  // Cite only when ask-elena attached the passages block (a system message
+  // opening with the "BLOG PASSAGES" heading) — its base prompt names it too
+  const hasPassages = messages.some((m) => m.role === "system" && /^BLOG PASSAGES\n/.test(m.content || ""));
+  const cite = hasPassages ? " [1]" : "";
+  const said = prompt.replace(/\s+/g, " ").trim().slice(0, 120);
+  return `Mock reply (${cfg.fn}, ${tag}): ${said}${cite}`;
+}
+
+async function mockOnce(cfg, messages, opts) {
+  const content = mockReply(cfg, messages);
+  if (opts.onDelta) {
+    for (const word of content.split(/(?<= )/)) opts.onDelta(word);
+  }
+  return { content, toolCalls: [] };
+}
+
+/* ===================== Client ===================== */
+
+// Applies fn to a message's text: content, plus any tool-call arguments
+// (an assistant turn that called a tool, or a tool call itself)
+function maskMessage(m, fn) {
+  const out = { ...m };
+  if (typeof m.content === "string") out.content = fn(m.content);
+  if (m.function?.arguments) out.function = { ...m.function, arguments: fn(m.function.arguments) };
+  if (Array.isArray(m.tool_calls)) out.tool_calls = m.tool_calls.map((c) => maskMessage(c, fn));
+  return out;
+}
+
+function createLLM(fn, overrides = {}) {
+  const cfg = resolveConfig(fn, overrides);
+  const isMock = cfg.provider === "mock";
+  const once = isMock ? mockOnce : openaiOnce;
+
+  async function complete(messages, opts = {}) {
+    const pii = opts.redact === false ? null : createRedactor();
+    const outbound = pii ? messages.map((m) => maskMessage(m, pii.redact)) : messages;
+    const restorer = pii && opts.onDelta ? pii.streamRestorer(opts.onDelta) : null;
+
+    let streamed = false;
+    const o = opts.onDelta
+      ? { ...opts, onDelta: (t) => { streamed = true; restorer ? restorer.push(t) : opts.onDelta(t); } }
+      : opts;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const out = await once(cfg, outbound, o);
+        if (!pii) return out;
+        restorer?.flush();
+        return {
+          content: pii.restore(out.content),
+          toolCalls: out.toolCalls.map((c) => maskMessage(c, pii.restore)),
+          redacted: pii.counts(),
+        };
+      } catch (err) {
+        if (attempt >= cfg.retries || streamed || !retryable(err)) throw err;
+        await sleep(250 * 2 ** attempt);
+      }
+    }
+  }
+
+  return {
+    provider: cfg.provider,
+    model: cfg.model,
+    // false → the caller should use its no-model path
+    available: isMock || !!cfg.apiKey || cfg.customBase,
+    config: { ...cfg, apiKey: cfg.apiKey ? "set" : "" },
+    complete,
+  };
+}
+
+module.exports = { createLLM, resolveConfig };
@@ -0,0 +1,180 @@
+// netlify/functions/lib/memo.js
+//
+// PURPOSE:
+// - Deterministic (no model) five-paragraph fiduciary memo for summarize.js
+// - Templates per grade band and per issue: data/memo-templates.json
+// - Same inputs every time → the same memo, in English or Spanish
+// - Snapshots in data/memo-fixtures.json pin band, issues and five filled
+//   paragraphs per memo (test/memo.test.js, npm test)
+//
+// PARAGRAPHS:
+//   1) opening (headline figures + grade) + why the grade (lib/grading.js
+//      adjustments) + the band's verdict
+//   2) dollar targets
+//   3) one sentence per issue (else the band's noIssues) + the stress test
+//      (only when priced: computeKPIs stresses the purchase P&I, so without
+//      a price the stressed figures understate housing), then for a VA
+//      purchase (kpis.va, lib/va.js) the funding-fee sentence (priced only)
+//      and the residual-income sentence (when the test passes), then the
+//      10-year rent-vs-buy sentence (priced only; lib/rentvsbuy.js)
+//   4) numbered playbook: issue actions first, then the standing steps
+//   5) the band's closing
+//
+// ISSUES (thresholds in the templates file):
+//   negative_cash_flow   freePost < freeCashFlowMin
+//   high_dti             dti > dtiMax
+//   thin_runway          runwayMonths < runwayMinMonths
+//   va_residual_short    VA residual income under the VA minimum (kpis.va)
+//
+// VARIABLES (already formatted for the language):
+//   greet grade gradeScore gradeBase gradeReasons income expenses savings housing freeCashFlow housingShare dti
+//   commitmentShare coverage runway runwayMin housingLane laneMin laneMax
+//   diMin autoSave reserveTarget reserveGap dtiMax dtiCut cashGap
+//   stressDti stressFree
+//   vaFee vaFeePct vaLoan vaCash vaExemptReason vaResidual vaResidualMin
+//   vaResidualGap vaFamily vaRegion   (VA purchases only)
+//   rvbRent rvbYear rvbYears rvbAdvantage rvbEquity   (rent vs. buy, priced only)
+
+const TEMPLATES = require("../data/memo-templates.json");
+const { grade: gradeOf } = require("./grading");
+const { formatters, DEFAULT_LANG } = require("./i18n");
+
+const ISSUE_ORDER = ["negative_cash_flow", "high_dti", "va_residual_short", "thin_runway"];
+
+function gradeBand(letter, registry = TEMPLATES) {
+  for (const [band, letters] of Object.entries(registry.bands)) {
+    if (letters.includes(letter)) return band;
+  }
+  return "watch";
+}
+
+// → issue ids, most urgent first
+function detectIssues(k, registry = TEMPLATES) {
+  const th = registry.thresholds;
+  const hits = {
+    negative_cash_flow: k.freePost < th.freeCashFlowMin,
+    high_dti: k.dti > th.dtiMax,
+    thin_runway: k.runwayMonths < th.runwayMinMonths,
+    va_residual_short: !!k.va && !k.va.residual.passes,
+  };
+  return ISSUE_ORDER.filter((id) => hits[id]);
+}
+
+function fill(tpl, vars) {
+  return String(tpl || "").replace(/\{(\w+)\}/g, (m, name) => (vars[name] == null ? m : String(vars[name])));
+}
+
+function memoVars(k, { grade, detail, greet, lang, rentVsBuy }, registry = TEMPLATES) {
+  const { USD, PCT0, PCT0dir, fixed } = formatters(lang);
+  const tpl = registry.templates[lang] || registry.templates[DEFAULT_LANG];
+  const th = registry.thresholds;
+  const months = (n) => `${fixed(n, 1)} ${lang === "es" ? "meses" : "months"}`;
+  const reserveTarget = k.expenses * th.runwayMinMonths;
+  return {
+    greet,
+    grade,
+    gradeScore: String(detail.score),
+    gradeBase: String(detail.base),
+    // the reasons carry "<" ("savings rate 4% < 10%"): escape for the HTML
+    gradeReasons: detail.adjustments.map((a) => a.reason).join("; ").replace(/</g, "&lt;"),
+    income: USD(k.income),
+    expenses: USD(k.expenses),
+    savings: USD(k.savings),
+    housing: USD(k.housing),
+    freeCashFlow: USD(k.freePost),
+    housingShare: PCT0(k.housingShare),
+    dti: PCT0(k.dti),
+    commitmentShare: PCT0(k.totalShare),
+    coverage: k.coverage === Infinity ? "∞" : fixed(k.coverage, 2) + "×",
+    runway: months(k.runwayMonths),
+    runwayMin: `${th.runwayMinMonths} ${lang === "es" ? "meses" : "months"}`,
+    housingLane: `${PCT0dir(k.targets.housingLaneMin * 100)}–${PCT0dir(k.targets.housingLaneMax * 100)}`,
+    laneMin: USD(k.income * k.targets.housingLaneMin),
+    laneMax: USD(k.income * k.targets.housingLaneMax),
+    diMin: USD(k.income * 0.10),
+    autoSave: USD(Math.max(50, Math.round(k.income * 0.10))),
+    reserveTarget: USD(reserveTarget),
+    reserveGap: USD(Math.max(0, reserveTarget - k.savingsBalance)),
+    dtiMax: PCT0(th.dtiMax),
+    dtiCut: USD(Math.max(0, (k.dti - th.dtiMax) * k.income)),
+    cashGap: USD(Math.max(0, -k.freePost)),
+    stressDti: PCT0(k.stress.dti),
+    stressFree: USD(k.stress.freePost),
+    ...(k.va ? vaVars(k.va, tpl, formatters(lang)) : {}),
+    ...(rentVsBuy ? {
+      rvbRent: USD(rentVsBuy.assumptions.rentStart),
+      rvbYear: String(rentVsBuy.breakevenYear),
+      rvbYears: String(rentVsBuy.assumptions.years),
+      rvbAdvantage: USD(Math.abs(rentVsBuy.final.advantage)),
+      rvbEquity: USD(rentVsBuy.final.equity),
+    } : {}),
+  };
+}
+
+function vaVars(va, tpl, { USD, fixed }) {
+  const r = va.residual;
+  return {
+    vaFee: USD(va.fundingFee.amount),
+    vaFeePct: `${fixed(va.fundingFee.pct, 2)}%`,
+    vaLoan: USD(va.loanAmount),
+    vaCash: USD(va.cashToClose),
+    vaExemptReason: tpl.vaExemptReasons[va.fundingFee.exemptReason] || "",
+    vaResidual: USD(r.actual),
+    vaResidualMin: USD(r.guideline),
+    vaResidualGap: USD(Math.max(0, -r.surplus)),
+    vaFamily: String(r.familySize),
+    vaRegion: tpl.vaRegions[r.region] || r.region,
+  };
+}
+
+// client: { lastName, rankPretty } — kpis from computeKPIs (+ va: lib/va.js vaLoan or
+// null), grade: the letter (else lib/grading.js grades k),
+// priced: the snapshot has a purchase price, rentVsBuy: lib/rentvsbuy.js result
+// (priced only)
+// → { html, text, band, issues, templateVersion }
+function deterministicMemo({ client = {}, kpis, grade, lang = DEFAULT_LANG, priced = false, rentVsBuy = null }, registry = TEMPLATES) {
+  const tpl = registry.templates[lang] || registry.templates[DEFAULT_LANG];
+  const k = kpis;
+  const detail = gradeOf(k, lang);
+  const letter = grade || detail.letter;
+  const band = gradeBand(letter, registry);
+  const issues = detectIssues(k, registry);
+
+  const title = client.rankPretty ? client.rankPretty.split(" (")[0] : tpl.defaultTitle;
+  const greet = `${title} ${client.lastName || ""}`.trim();
+  const rvb = priced ? rentVsBuy : null;
+  const vars = memoVars(k, { grade: letter, detail, greet, lang, rentVsBuy: rvb }, registry);
+  const f = (s) => fill(s, vars);
+
+  const found = issues.map((id) => tpl.issues[id]);
+  const actions = [...found.map((x) => x.action), ...tpl.playbook];
+
+  const paragraphs = [
+    `${f(tpl.opening)} ${f(tpl.gradeWhy)} ${f(tpl.verdict[band])}`,
+    f(tpl.targets),
+    [
+      tpl.issuesIntro,
+      ...(found.length ? found.map((x) => f(x.issue)) : [f(tpl.noIssues[band])]),
+      priced ? f(tpl.stress) : "",
+      priced && k.va ? f(tpl.vaLoan[k.va.fundingFee.exempt ? "exempt" : k.va.fundingFee.financed ? "financed" : "cash"]) : "",
+      k.va && k.va.residual.passes ? f(tpl.vaResidual) : "",
+      rvb ? f(tpl.rentVsBuy[rvb.final.advantage >= 0 ? "ahead" : "behind"]) : "",
+    ].filter(Boolean).join(" "),
+    [tpl.playbookIntro, ...actions.map((a, i) => `${i + 1}) ${f(a)}`)].join(" "),
+    f(tpl.closing[band]),
+  ];
+
+  return {
+    html: paragraphs.map((p) => `<p>${p}</p>`).join(""),
+    text: paragraphs.map((p) => p.replace(/<[^>]+>/g, "").replace(/&lt;/g, "<")).join("\n\n"),
+    band,
+    issues,
+    templateVersion: registry.version,
+  };
+}
+
+module.exports = {
+  gradeBand,
+  detectIssues,
+  deterministicMemo,
+};
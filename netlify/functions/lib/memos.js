@@ -0,0 +1,176 @@
+// netlify/functions/lib/memos.js
+//
+// PURPOSE:
+// - History of the fiduciary memos summarize.js writes for a verified user
+// - Stored in the auth store under userData "memos/<id>" (privacy.js exports
+//   and erases them with everything else); oldest pruned past
+//   MEMO_HISTORY_MAX (default 36 — three years of monthly memos)
+// - compareMemos(a, b) → grade change + DTI / runway / housing share deltas
+//   and a one-line summary ("Since September: your runway improved from
+//   1.2 to 2.8 months.")
+//
+// DOC:
+//   { id, createdAt, kind, lang, source,          // source: "model" | "deterministic"
+//     grade, kpis: { income, expenses, savings, savingsBalance, housing, freePost,
+//                    totalShare, housingShare, dti, coverage, runwayMonths, stress,
+//                    va },                       // lib/va.js vaLoan, null unless VA
+//     snapshot,                                    // the input, as posted
+//     memoHtml }
+//
+// IDS sort by time: "20261019T150759123Z-a1b2c3" (createdAt + random suffix),
+// so the newest memo is the last key.
+
+const crypto = require("crypto");
+const { formatters, localeOf, t } = require("./i18n");
+const { GRADES } = require("./fiduciary");
+
+const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : d);
+
+const PREFIX = "memos/";
+const MAX_MEMOS = num(process.env.MEMO_HISTORY_MAX, 36);
+
+const keyOf = (id) => `${PREFIX}${id}`;
+const validId = (id) => /^\d{8}T\d{9}Z-[0-9a-f]{6}$/.test(String(id || ""));
+const round = (n, d) => (Number.isFinite(n) ? Number(n.toFixed(d)) : null);
+
+function newMemoId(createdAt) {
+  return `${createdAt.replace(/[-:.]/g, "")}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function memoRecord({ kind, lang, source, grade, kpis: k, snapshot, memoHtml }) {
+  const createdAt = new Date().toISOString();
+  return {
+    id: newMemoId(createdAt),
+    createdAt,
+    kind: kind || "fiduciary-memo",
+    lang,
+    source,
+    grade,
+    kpis: {
+      income: k.income, expenses: k.expenses, savings: k.savings, savingsBalance: k.savingsBalance, housing: k.housing,
+      freePost: k.freePost, totalShare: k.totalShare, housingShare: k.housingShare,
+      dti: k.dti, coverage: Number.isFinite(k.coverage) ? k.coverage : null,
+      runwayMonths: k.runwayMonths, stress: k.stress, va: k.va || null
+    },
+    snapshot,
+    memoHtml
+  };
+}
+
+// Oldest first
+async function memoIds(store, email) {
+  const keys = await store.userData.list(email, PREFIX);
+  return keys.map((key) => key.slice(PREFIX.length)).filter(validId).sort();
+}
+
+async function getMemo(store, email, id) {
+  if (!validId(id)) return null;
+  return store.userData.get(email, keyOf(id));
+}
+
+// → the newest stored memo, or null
+async function latestMemo(store, email) {
+  const ids = await memoIds(store, email);
+  return ids.length ? getMemo(store, email, ids[ids.length - 1]) : null;
+}
+
+async function saveMemo(store, email, record) {
+  await store.userData.put(email, keyOf(record.id), record);
+  const ids = await memoIds(store, email);
+  for (const old of ids.slice(0, Math.max(0, ids.length - MAX_MEMOS))) {
+    await store.userData.remove(email, keyOf(old));
+  }
+  return record;
+}
+
+// Newest first, without the snapshot / memo text
+async function listMemos(store, email, { limit = 12 } = {}) {
+  const ids = (await memoIds(store, email)).reverse();
+  const out = [];
+  for (const id of ids.slice(0, Math.max(1, Math.min(limit, MAX_MEMOS)))) {
+    const m = await getMemo(store, email, id);
+    if (!m) continue;
+    out.push({
+      id: m.id, createdAt: m.createdAt, kind: m.kind, lang: m.lang, source: m.source, grade: m.grade,
+      kpis: { dti: m.kpis.dti, runwayMonths: m.kpis.runwayMonths, housingShare: m.kpis.housingShare, freePost: m.kpis.freePost }
+    });
+  }
+  return { total: ids.length, memos: out };
+}
+
+// "September" / "Sep 3" (same month) / "September 2025" (other year)
+function sinceLabel(fromIso, toIso, lang) {
+  const from = new Date(fromIso);
+  const to = new Date(toIso);
+  const locale = localeOf(lang);
+  if (from.getUTCFullYear() !== to.getUTCFullYear()) {
+    return from.toLocaleDateString(locale, { month: "long", year: "numeric", timeZone: "UTC" });
+  }
+  if (from.getUTCMonth() === to.getUTCMonth()) {
+    return from.toLocaleDateString(locale, { month: "short", day: "numeric", timeZone: "UTC" });
+  }
+  return from.toLocaleDateString(locale, { month: "long", timeZone: "UTC" });
+}
+
+function delta(from, to, d) {
+  return { from: round(from, d), to: round(to, d), delta: round(to - from, d) };
+}
+
+// a, b: stored memos (either order; the older one is "from")
+function compareMemos(a, b, lang = "en") {
+  const [from, to] = a.createdAt <= b.createdAt ? [a, b] : [b, a];
+  const { PCT0, fixed } = formatters(lang);
+
+  const steps = GRADES.indexOf(to.grade) - GRADES.indexOf(from.grade);
+  const grade = { from: from.grade, to: to.grade, steps, direction: steps > 0 ? "up" : steps < 0 ? "down" : "same" };
+  const dti = delta(from.kpis.dti, to.kpis.dti, 4);
+  const runwayMonths = delta(from.kpis.runwayMonths, to.kpis.runwayMonths, 2);
+  const housingShare = delta(from.kpis.housingShare, to.kpis.housingShare, 4);
+
+  // Only moves that show at the displayed precision count as a change
+  const pct = (x) => PCT0(x);
+  const months = (x) => fixed(x, 1);
+  const changes = [];
+  const improved = [];
+  const worsened = [];
+  const note = (name, better, key, fmt, d) => {
+    if (fmt(d.from) === fmt(d.to)) return;
+    (better ? improved : worsened).push(name);
+    changes.push(t(lang, key, { from: fmt(d.from), to: fmt(d.to) }));
+  };
+  if (steps) {
+    (steps > 0 ? improved : worsened).push("grade");
+    changes.push(t(lang, steps > 0 ? "memoGradeUp" : "memoGradeDown", { from: from.grade, to: to.grade }));
+  }
+  note("runwayMonths", runwayMonths.delta > 0, runwayMonths.delta > 0 ? "memoRunwayUp" : "memoRunwayDown", months, runwayMonths);
+  note("dti", dti.delta < 0, dti.delta < 0 ? "memoDtiDown" : "memoDtiUp", pct, dti);
+  note("housingShare", housingShare.delta < 0, housingShare.delta < 0 ? "memoHousingDown" : "memoHousingUp", pct, housingShare);
+
+  const when = sinceLabel(from.createdAt, to.createdAt, lang);
+  const summary = changes.length
+    ? t(lang, "memoSince", { when, changes: changes.join("; ") })
+    : t(lang, "memoSame", { when });
+
+  return {
+    from: { id: from.id, createdAt: from.createdAt, grade: from.grade },
+    to: { id: to.id, createdAt: to.createdAt, grade: to.grade },
+    grade,
+    dti,
+    runwayMonths,
+    housingShare,
+    improved,
+    worsened,
+    summary
+  };
+}
+
+module.exports = {
+  validId,
+  memoRecord,
+  memoIds,
+  getMemo,
+  latestMemo,
+  saveMemo,
+  listMemos,
+  compareMemos,
+};
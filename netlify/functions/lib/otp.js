@@ -0,0 +1,129 @@
+// netlify/functions/lib/otp.js
+//
+// PURPOSE:
+// - One-time code helpers shared by send-code.js and verify-code.js
+// - Code lifetime / cooldown / attempt limits (env-configurable)
+// - Per-email and per-IP request throttling backed by the auth store (lib/store.js)
+// - Structured error codes the verify page can show
+//
+// ENV (all optional):
+//   CODE_TTL_MINUTES          default 10
+//   CODE_MAX_ATTEMPTS         default 5
+//   RESEND_COOLDOWN_SECONDS   default 60
+//   SEND_LIMIT_PER_EMAIL      default 5   (per hour)
+//   SEND_LIMIT_PER_IP         default 20  (per hour)
+//   VERIFY_LIMIT_PER_EMAIL    default 10  (per 15 minutes, across resent codes)
+//   VERIFY_LIMIT_PER_IP       default 30  (per 15 minutes)
+//   LEAD_LIMIT_PER_EMAIL      default 3   (per hour, handoff.js)
+//   LEAD_LIMIT_PER_IP         default 10  (per hour, handoff.js)
+//
+// EVENTS: { scope: "send" | "verify" | "lead", key: "email:<email>" | "ip:<ip>", created_at }
+// (Supabase: public.auth_events, indexed on scope, key, created_at)
+
+const crypto = require("crypto");
+
+const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : d);
+
+const CONFIG = {
+  codeTtlMinutes: num(process.env.CODE_TTL_MINUTES, 10),
+  maxAttempts: num(process.env.CODE_MAX_ATTEMPTS, 5),
+  resendCooldownSeconds: num(process.env.RESEND_COOLDOWN_SECONDS, 60),
+  limits: {
+    send: [
+      { by: "email", max: num(process.env.SEND_LIMIT_PER_EMAIL, 5), windowSeconds: 3600 },
+      { by: "ip", max: num(process.env.SEND_LIMIT_PER_IP, 20), windowSeconds: 3600 },
+    ],
+    verify: [
+      { by: "email", max: num(process.env.VERIFY_LIMIT_PER_EMAIL, 10), windowSeconds: 900 },
+      { by: "ip", max: num(process.env.VERIFY_LIMIT_PER_IP, 30), windowSeconds: 900 },
+    ],
+    lead: [
+      { by: "email", max: num(process.env.LEAD_LIMIT_PER_EMAIL, 3), windowSeconds: 3600 },
+      { by: "ip", max: num(process.env.LEAD_LIMIT_PER_IP, 10), windowSeconds: 3600 },
+    ],
+  },
+};
+
+// Error codes surfaced to verify.html as { ok:false, code, error, retryAfter? }
+const ERRORS = {
+  invalid: { statusCode: 400, error: "Invalid code." },
+  expired: { statusCode: 400, error: "Code expired. Request new code." },
+  locked: { statusCode: 400, error: "Too many attempts. Request new code." },
+  cooldown: { statusCode: 429, error: "Please wait before requesting another code." },
+  throttled: { statusCode: 429, error: "Too many requests. Try again later." },
+};
+
+function makeCode() {
+  const n = crypto.randomInt(0, 1000000);
+  return n.toString().padStart(6, "0");
+}
+
+function hashCode(code) {
+  return crypto.createHash("sha256").update(code).digest("hex");
+}
+
+function expiresAtFrom(nowMs) {
+  return new Date(nowMs + CONFIG.codeTtlMinutes * 60 * 1000).toISOString();
+}
+
+function clientIp(event) {
+  const h = event.headers || {};
+  const fwd = h["x-forwarded-for"] || h["X-Forwarded-For"] || "";
+  return (
+    h["x-nf-client-connection-ip"] ||
+    h["client-ip"] ||
+    fwd.split(",")[0].trim() ||
+    "unknown"
+  );
+}
+
+// → null when allowed, else { code:"throttled", retryAfter }
+async function checkThrottle(store, scope, ids) {
+  for (const rule of CONFIG.limits[scope] || []) {
+    const id = ids[rule.by];
+    if (!id) continue;
+    const since = new Date(Date.now() - rule.windowSeconds * 1000).toISOString();
+    let count = 0;
+    try {
+      count = await store.events.count(scope, `${rule.by}:${id}`, since);
+    } catch (err) {
+      // Fail open: throttling must never lock everyone out on a DB hiccup
+      console.error("Throttle lookup error:", err);
+      continue;
+    }
+    if (count >= rule.max) {
+      return { code: "throttled", retryAfter: rule.windowSeconds };
+    }
+  }
+  return null;
+}
+
+async function recordEvent(store, scope, ids) {
+  const created_at = new Date().toISOString();
+  const rows = Object.keys(ids)
+    .filter((by) => ids[by])
+    .map((by) => ({ scope, key: `${by}:${ids[by]}`, created_at }));
+  if (!rows.length) return;
+  try {
+    await store.events.add(rows);
+  } catch (err) {
+    console.error("Throttle insert error:", err);
+  }
+}
+
+// Build the standard error body: { ok:false, code, error, ...extra }
+function otpError(code, extra) {
+  const e = ERRORS[code] || ERRORS.invalid;
+  return { statusCode: e.statusCode, body: { ok: false, code, error: e.error, ...(extra || {}) } };
+}
+
+module.exports = {
+  CONFIG,
+  makeCode,
+  hashCode,
+  expiresAtFrom,
+  clientIp,
+  checkThrottle,
+  recordEvent,
+  otpError,
+};
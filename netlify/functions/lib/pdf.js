@@ -0,0 +1,332 @@
+// netlify/functions/lib/pdf.js
+//
+// PURPOSE:
+// - Minimal PDF writer for server-side exports (memo-pdf.js): no browser,
+//   no outside service, no dependency
+// - US Letter pages, Helvetica / Helvetica-Bold (built into every PDF
+//   reader, WinAnsi encoding → English and Spanish text both render)
+// - Flow layout: headings, wrapped paragraphs with bold runs, key/value
+//   tables, rules; pages break automatically; a footer callback stamps every
+//   page once the page count is known
+// - htmlToParagraphs(memoHtml) → the runs paragraph() takes
+//
+// USAGE:
+//   const doc = createPdf({ title, footer: (page, pages) => [...lines] });
+//   doc.band({ title, subtitle });             dark header band
+//   doc.heading("Key figures");
+//   doc.table([["Grade", "B+"], ...]);
+//   for (const runs of htmlToParagraphs(html)) doc.paragraph(runs);
+//   const buf = doc.toBuffer();                 Buffer (application/pdf)
+//
+// COORDINATES: points, origin bottom-left (PDF native); the layout cursor
+// (doc.y) runs top-down from the top margin.
+
+const PAGE_W = 612;
+const PAGE_H = 792;
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32–126
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// WinAnsi characters outside Latin-1: char → [code, regular width, bold width]
+const WIN_ANSI = {
+  "€": [0x80, 556, 556], "…": [0x85, 1000, 1000], "‘": [0x91, 222, 278], "’": [0x92, 222, 278],
+  "“": [0x93, 333, 500], "”": [0x94, 333, 500], "•": [0x95, 350, 350], "–": [0x96, 556, 556],
+  "—": [0x97, 1000, 1000], "™": [0x99, 1000, 1000]
+};
+// Latin-1 symbols whose width isn't their base letter's
+const LATIN1_WIDTHS = {
+  "¡": [333, 333], "¿": [611, 611], "×": [584, 584], "·": [278, 278], "°": [400, 400],
+  "©": [737, 737], "®": [737, 737], "«": [556, 556], "»": [556, 556], " ": [278, 278]
+};
+// Not in WinAnsi at all
+const SUBSTITUTES = { "≥": ">=", "≤": "<=", "→": "->", "←": "<-", "∞": "n/a", "≈": "~", "−": "-", "✓": "v" };
+
+// → text limited to what Helvetica/WinAnsi can show
+function sanitize(text) {
+  return String(text ?? "")
+    .normalize("NFC")
+    .replace(/[\u2000-\u200b\u202f]/g, " ")
+    .replace(/./gu, (ch) => {
+      if (SUBSTITUTES[ch]) return SUBSTITUTES[ch];
+      const c = ch.codePointAt(0);
+      if ((c >= 32 && c <= 126) || (c >= 0xa0 && c <= 0xff) || WIN_ANSI[ch]) return ch;
+      const base = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+      return base && base.codePointAt(0) < 127 ? base : "?";
+    });
+}
+
+function charWidth(ch, bold) {
+  const c = ch.charCodeAt(0);
+  const i = bold ? 1 : 0;
+  if (c >= 32 && c <= 126) return WIDTHS[bold ? "bold" : "regular"][c - 32];
+  if (WIN_ANSI[ch]) return WIN_ANSI[ch][1 + i];
+  if (LATIN1_WIDTHS[ch]) return LATIN1_WIDTHS[ch][i];
+  // Accented letters take their base letter's width (á = a, Ñ = N)
+  const base = ch.normalize("NFD")[0];
+  return base !== ch && base.charCodeAt(0) < 127 ? charWidth(base, bold) : 556;
+}
+
+function textWidth(text, size, bold) {
+  let w = 0;
+  for (const ch of text) w += charWidth(ch, bold);
+  return (w * size) / 1000;
+}
+
+// PDF literal string in WinAnsi bytes
+function pdfString(text) {
+  let out = "(";
+  for (const ch of text) {
+    const code = WIN_ANSI[ch] ? WIN_ANSI[ch][0] : ch.charCodeAt(0);
+    if (ch === "\\" || ch === "(" || ch === ")") out += "\\" + ch;
+    else if (code < 32 || code > 126) out += "\\" + code.toString(8).padStart(3, "0");
+    else out += ch;
+  }
+  return out + ")";
+}
+
+const rgb = (hex) => {
+  const n = parseInt(String(hex).replace("#", ""), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => (v / 255).toFixed(3)).join(" ");
+};
+const f2 = (n) => Number(n).toFixed(2);
+
+/* ===================== HTML → runs ===================== */
+
+function decodeEntities(s) {
+  return s
+    .replace(/&nbsp;/g, " ")
+    .replace(/&#(\d+);/g, (m, d) => String.fromCodePoint(Number(d)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+// "<p>Hi <strong>Doe</strong> …</p><p>…</p>" → [[{ text, bold }, ...], ...]
+// Also takes **bold** markdown and bold tags that arrive escaped
+// (&lt;strong>, as aiou-report.js's five-paragraph guard produces).
+function htmlToParagraphs(html) {
+  const src = String(html || "")
+    .replace(/&lt;(\/?)(strong|b)(?:&gt;|>)/gi, "<$1$2>")
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>");
+  const blocks = src.split(/<\/p>|<br\s*\/?>\s*<br\s*\/?>|\n{2,}/i);
+  const out = [];
+  for (const block of blocks) {
+    const runs = [];
+    let bold = false;
+    for (const part of block.split(/(<[^>]+>)/)) {
+      if (!part) continue;
+      if (part.startsWith("<")) {
+        if (/^<(strong|b)\b/i.test(part)) bold = true;
+        else if (/^<\/(strong|b)>/i.test(part)) bold = false;
+        continue;
+      }
+      const text = decodeEntities(part).replace(/\s+/g, " ");
+      if (text) runs.push({ text, bold });
+    }
+    if (runs.some((r) => r.text.trim())) {
+      runs[0].text = runs[0].text.replace(/^\s+/, "");
+      out.push(runs);
+    }
+  }
+  return out;
+}
+
+/* ===================== Document ===================== */
+
+// Greedy word wrap over mixed-font runs → lines of [{ text, bold, x }]
+function wrap(runs, size, maxWidth) {
+  const lines = [];
+  let line = [];
+  let x = 0;
+  const push = () => { lines.push(line); line = []; x = 0; };
+  for (const run of runs) {
+    const words = sanitize(run.text).split(/(\s+)/);
+    for (const w of words) {
+      if (!w) continue;
+      const isSpace = /^\s+$/.test(w);
+      if (isSpace && !line.length) continue;
+      const piece = isSpace ? " " : w;
+      const pw = textWidth(piece, size, run.bold);
+      if (!isSpace && x + pw > maxWidth && line.length) {
+        // drop the trailing space before breaking
+        const last = line[line.length - 1];
+        last.text = last.text.replace(/\s+$/, "");
+        if (!last.text) line.pop();
+        push();
+      }
+      const prev = line[line.length - 1];
+      if (prev && prev.bold === run.bold) prev.text += piece;
+      else line.push({ text: piece, bold: run.bold, x });
+      x += pw;
+    }
+  }
+  if (line.length) push();
+  return lines;
+}
+
+
+// opts: { title, margin, footer(pageNo, pageCount) → [lines], footerSize, accent }
+function createPdf(opts = {}) {
+  const margin = opts.margin || 54;
+  const footerSize = opts.footerSize || 7.5;
+  const footerLines = (n, total) =>
+    (opts.footer ? opts.footer(n, total) : []).flatMap((l) =>
+      wrap([{ text: l, bold: false }], footerSize, PAGE_W - margin * 2).map((segs) => segs.map((x) => x.text).join(""))
+    );
+  // Reserve room for the footer (page numbers barely change its height)
+  const footerHeight = footerLines(99, 99).length * (footerSize + 2.5) + 14;
+
+  const pages = [];
+  let ops = null;
+  const doc = { y: 0, width: PAGE_W - margin * 2, margin };
+
+  function newPage() {
+    ops = [];
+    pages.push(ops);
+    doc.y = margin;
+  }
+  newPage();
+
+  const bottom = () => PAGE_H - margin - footerHeight;
+  doc.ensure = (h) => {
+    if (doc.y + h > bottom()) newPage();
+  };
+
+  function drawText(x, yTop, text, { size = 10, bold = false, color = "#1a1a1a" } = {}) {
+    ops.push(`BT ${rgb(color)} rg /${bold ? "F2" : "F1"} ${f2(size)} Tf ${f2(x)} ${f2(PAGE_H - yTop - size)} Td ${pdfString(text)} Tj ET`);
+  }
+  function fillRect(x, yTop, w, h, color) {
+    ops.push(`${rgb(color)} rg ${f2(x)} ${f2(PAGE_H - yTop - h)} ${f2(w)} ${f2(h)} re f`);
+  }
+  function strokeLine(x1, y1, x2, y2, color = "#d0d5dd", width = 0.75) {
+    ops.push(`${rgb(color)} RG ${f2(width)} w ${f2(x1)} ${f2(PAGE_H - y1)} m ${f2(x2)} ${f2(PAGE_H - y2)} l S`);
+  }
+
+  // Full-width colored band at the top of the current page
+  doc.band = ({ title, subtitle, color = "#0f1324", accent = opts.accent || "#6a88ff" }) => {
+    const h = subtitle ? 70 : 52;
+    fillRect(0, 0, PAGE_W, h, color);
+    fillRect(0, h, PAGE_W, 3, accent);
+    drawText(margin, 16, sanitize(title), { size: 16, bold: true, color: "#ffffff" });
+    if (subtitle) drawText(margin, 40, sanitize(subtitle), { size: 9.5, color: "#c9d2ff" });
+    doc.y = Math.max(doc.y, h + 22);
+  };
+
+  doc.heading = (text, { size = 12, color = "#0f1324" } = {}) => {
+    doc.ensure(size + 30);
+    doc.y += 6;
+    drawText(margin, doc.y, sanitize(text), { size, bold: true, color });
+    doc.y += size + 8;
+  };
+
+  doc.line = (text, { size = 9.5, bold = false, color = "#475467" } = {}) => {
+    doc.paragraph([{ text, bold }], { size, color, after: 2 });
+  };
+
+  doc.paragraph = (runs, { size = 10.5, leading = 1.45, color = "#1a1a1a", after = 9 } = {}) => {
+    const lh = size * leading;
+    for (const line of wrap(runs, size, doc.width)) {
+      doc.ensure(lh);
+      for (const seg of line) drawText(margin + seg.x, doc.y, seg.text, { size, bold: seg.bold, color });
+      doc.y += lh;
+    }
+    doc.y += after;
+  };
+
+  // rows: [[label, value], ...]; header: optional [label, value]
+  doc.table = (rows, { header, size = 9.5, labelWidth = 0.55, stripe = "#f2f4f7", color = "#1a1a1a" } = {}) => {
+    const rowH = size + 9;
+    const valueX = margin + doc.width * labelWidth;
+    const all = header ? [header, ...rows] : rows;
+    all.forEach((row, i) => {
+      doc.ensure(rowH);
+      const isHead = header && i === 0;
+      if (isHead) fillRect(margin, doc.y, doc.width, rowH, "#0f1324");
+      else if (i % 2 === (header ? 1 : 0)) fillRect(margin, doc.y, doc.width, rowH, stripe);
+      const c = isHead ? "#ffffff" : color;
+      const labelRuns = wrap([{ text: row[0], bold: isHead }], size, valueX - margin - 12)[0] || [];
+      for (const seg of labelRuns) drawText(margin + 6 + seg.x, doc.y + 4.5, seg.text, { size, bold: seg.bold, color: c });
+      drawText(valueX, doc.y + 4.5, sanitize(row[1]), { size, bold: true, color: c });
+      doc.y += rowH;
+    });
+    strokeLine(margin, doc.y, margin + doc.width, doc.y);
+    doc.y += 12;
+  };
+
+  doc.rule = () => {
+    doc.ensure(12);
+    strokeLine(margin, doc.y + 4, margin + doc.width, doc.y + 4);
+    doc.y += 12;
+  };
+
+  doc.spacer = (h) => { doc.y += h; };
+
+  doc.toBuffer = () => {
+    const total = pages.length;
+    pages.forEach((pageOps, i) => {
+      ops = pageOps;
+      const lines = footerLines(i + 1, total);
+      let y = PAGE_H - margin - lines.length * (footerSize + 2.5) + 4;
+      strokeLine(margin, y - 8, PAGE_W - margin, y - 8, "#d0d5dd", 0.5);
+      for (const l of lines) {
+        drawText(margin, y, l, { size: footerSize, color: "#667085" });
+        y += footerSize + 2.5;
+      }
+    });
+
+    // Objects: 1 catalog, 2 pages, 3 F1, 4 F2, 5 info, then (page, content) pairs
+    const objects = [];
+    const pageIds = pages.map((_, i) => 6 + i * 2);
+    objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${total} >>`;
+    objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+    objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+    objects[5] = `<< /Title ${pdfString(sanitize(opts.title || "Document"))} /Producer (OrozcoRealty) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z) >>`;
+    pages.forEach((pageOps, i) => {
+      const stream = pageOps.join("\n");
+      objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+      objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`;
+    });
+
+    let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(out, "latin1");
+      out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xref = Buffer.byteLength(out, "latin1");
+    out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) out += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+    out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out, "latin1");
+  };
+
+  return doc;
+}
+
+module.exports = {
+  createPdf,
+  htmlToParagraphs,
+  sanitize,
+  textWidth,
+};
@@ -0,0 +1,117 @@
+// netlify/functions/lib/redact.js
+//
+// PURPOSE:
+// - Swap PII for placeholders before anything goes to the model, and put the
+//   real values back in what comes out (lib/llm.js does both on every call)
+//     EMAIL     jane.doe@mail.mil
+//     SSN       123-45-6789 | 123 45 6789 | 123456789 after "SSN"/"social security"
+//     DOD_ID    10-digit EDIPI after "DoD ID"/"EDIPI"/"CAC"/"DoD #"
+//     PHONE     (210) 555-0134 | 210.555.0134 | +1 210 555 0134 | 2105550134
+//     ADDRESS   1234 Main St | 55 N Loop 1604 Apt 3 | 9 Oak Hollow Dr
+// - The same value always maps to the same placeholder within one redactor,
+//   so "[EMAIL_1]" means one address throughout a conversation payload
+// - Pattern tests: data/redaction-fixtures.json, replayed by test/redact.test.js
+//
+// NOT COVERED: names (memos greet by rank + last name on purpose), ZIP codes
+// on their own (needed for BAH / school lookups).
+
+// "Street" → "[Ss][Tt][Rr]..." so suffixes match in any case while the
+// street-name words still have to be capitalized
+const ci = (w) => w.replace(/[a-z]/gi, (c) => `[${c.toUpperCase()}${c.toLowerCase()}]`);
+
+const SUFFIXES = [
+  "Street", "St", "Avenue", "Ave", "Road", "Rd", "Boulevard", "Blvd", "Drive", "Dr", "Lane", "Ln",
+  "Court", "Ct", "Way", "Circle", "Cir", "Trail", "Trl", "Parkway", "Pkwy", "Place", "Pl",
+  "Terrace", "Ter", "Highway", "Hwy", "Loop", "Pass", "Run", "Cove", "Path",
+].map(ci).join("|");
+
+const UNIT = `(?:,?\\s*(?:${["Apt", "Unit", "Suite", "Ste"].map(ci).join("|")}|#)\\.?\\s*[\\w-]+)?`;
+
+// Order matters: earlier patterns claim their text first
+const PATTERNS = [
+  { type: "EMAIL", re: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  {
+    type: "DOD_ID",
+    re: /(\b(?:dod\s*(?:id)?|edipi|cac)(?:\s*(?:number|no\.?|#))?\s*(?:is|:|#)?\s*)(\d{10})\b/gi,
+    group: 2,
+  },
+  {
+    type: "SSN",
+    re: /(\b(?:ssn|social\s+security(?:\s+(?:number|no\.?|#))?)\s*(?:is|:|#)?\s*)(\d{9})\b/gi,
+    group: 2,
+  },
+  { type: "SSN", re: /(?<![\d-])(?!000|666|9\d\d)\d{3}([- ])(?!00)\d{2}\1(?!0000)\d{4}(?![\d-])/g },
+  { type: "PHONE", re: /(?<![\w-])(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}(?![\d-])/g },
+  {
+    type: "ADDRESS",
+    re: new RegExp(
+      `\\b\\d{1,6}\\s+(?:[NSEW]\\.?\\s+)?(?:[A-Z0-9][\\w'.-]*\\s+){1,4}(?:${SUFFIXES})\\b\\.?(?:\\s+\\d{1,5}\\b)?${UNIT}`,
+      "g"
+    ),
+  },
+];
+
+const PLACEHOLDER = /\[?\b(EMAIL|SSN|DOD_ID|PHONE|ADDRESS)_(\d+)\b\]?/g;
+
+function createRedactor() {
+  const byValue = new Map();   // "jane@x.com" → "[EMAIL_1]"
+  const byToken = new Map();   // "EMAIL_1" → "jane@x.com"
+  const counts = {};
+
+  function tokenFor(type, value) {
+    const key = `${type}:${value}`;
+    if (byValue.has(key)) return byValue.get(key);
+    counts[type] = (counts[type] || 0) + 1;
+    const token = `${type}_${counts[type]}`;
+    byValue.set(key, `[${token}]`);
+    byToken.set(token, value);
+    return `[${token}]`;
+  }
+
+  function redact(text) {
+    if (typeof text !== "string" || !text) return text;
+    let out = text;
+    for (const p of PATTERNS) {
+      out = out.replace(p.re, (match, ...groups) => {
+        if (!p.group) return tokenFor(p.type, match);
+        const prefix = groups[0];
+        return prefix + tokenFor(p.type, groups[p.group - 1]);
+      });
+    }
+    return out;
+  }
+
+  // "[EMAIL_1]" or a bare "EMAIL_1" the model echoed → the real value
+  function restore(text) {
+    if (typeof text !== "string" || !text || !byToken.size) return text;
+    return text.replace(PLACEHOLDER, (m, type, n) => byToken.get(`${type}_${n}`) ?? m);
+  }
+
+  // Streaming: hold back a trailing "[EMAI…" until the placeholder is complete
+  function streamRestorer(emit) {
+    let pending = "";
+    return {
+      push(chunk) {
+        pending += chunk;
+        const open = pending.lastIndexOf("[");
+        const tail = open >= 0 && pending.indexOf("]", open) < 0 && pending.length - open < 16 ? pending.slice(open) : "";
+        const ready = pending.slice(0, pending.length - tail.length);
+        pending = tail;
+        if (ready) emit(restore(ready));
+      },
+      flush() {
+        if (pending) emit(restore(pending));
+        pending = "";
+      },
+    };
+  }
+
+  return {
+    redact,
+    restore,
+    streamRestorer,
+    counts: () => ({ ...counts }),
+  };
+}
+
+module.exports = { createRedactor };
@@ -0,0 +1,166 @@
+// netlify/functions/lib/rentvsbuy.js
+//
+// PURPOSE:
+// - The 10-year rent-vs-buy model behind the Analyze chart (rent-vs-buy.js)
+//   and the memo (summarize.js): the page has no copy of its own, so both
+//   read the same numbers
+// - rentVsBuy(snapshot, options, lang) → yearly series + breakeven; lang
+//   ("en" | "es") only words the axis labels (lib/i18n.js)
+//
+// MODEL (monthly steps, recorded at each year end):
+//   buy   net cost = down + closing + (P&I + TI/HOA + PMI + maintenance) paid
+//                    − what the home would net if sold (value − selling costs − balance)
+//   rent  net cost = rent paid − growth of the down payment invested instead
+//   breakeven: the first month buying costs no more than renting
+//
+// OPTIONS (percent; defaults = the page's original constants):
+//   years               10      horizon (1–30)
+//   rentStart           1% of price per month
+//   appreciationPct     3       home value growth / yr
+//   rentGrowthPct       3       rent growth / yr
+//   investReturnPct     5       return on the down payment if renting / yr
+//   sellingCostPct      7       cost to sell, % of value
+//   closingCostPct      3       cost to buy, % of price
+//   maintenancePct      1       upkeep, % of price / yr
+//   taxInsGrowthPct     0       growth of TI/HOA + PMI / yr (the page holds them flat)
+
+const { pmti } = require("./fiduciary");
+const { t } = require("./i18n");
+
+// The page's fallbacks: an empty snapshot is a $350k home at 7%, and the
+// model floors price at $150k
+const DEFAULT_PRICE = 350000;
+const MIN_PRICE = 150000;
+const DEFAULT_APR = 7;
+
+const DEFAULTS = {
+  years: 10,
+  appreciationPct: 3,
+  rentGrowthPct: 3,
+  investReturnPct: 5,
+  sellingCostPct: 7,
+  closingCostPct: 3,
+  maintenancePct: 1,
+  taxInsGrowthPct: 0
+};
+
+// [option, min, max]
+const OPTIONS = [
+  ["years", 1, 30],
+  ["rentStart", 0, 1e6],
+  ["appreciationPct", -20, 30],
+  ["rentGrowthPct", -20, 30],
+  ["investReturnPct", -20, 30],
+  ["sellingCostPct", 0, 20],
+  ["closingCostPct", 0, 20],
+  ["maintenancePct", 0, 10],
+  ["taxInsGrowthPct", -20, 30]
+];
+
+const given = (v) => v !== undefined && v !== null && v !== "";
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// → [{ field, error }], empty when usable
+function validateOptions(o = {}) {
+  const errors = [];
+  for (const [field, min, max] of OPTIONS) {
+    if (!given(o[field])) continue;
+    const n = Number(o[field]);
+    if (!Number.isFinite(n) || n < min || n > max) errors.push({ field, error: `${field} must be a number from ${min} to ${max}` });
+  }
+  return errors;
+}
+
+// s: realtysass.bridge (price, dpAmt, apr, termYears, tihoa, pmi)
+// → { assumptions, labels, buySeries, rentSeries, equityByYear, cumRentByYear,
+//     homeValueByYear, breakevenMonth, breakevenYear, breakevenYears, final }
+function rentVsBuy(s, options = {}, lang = "en") {
+  const o = { ...DEFAULTS };
+  for (const [field] of OPTIONS) if (given(options[field])) o[field] = Number(options[field]);
+  const Y = Math.round(o.years);
+  const N = Y * 12;
+
+  const price = Math.max(MIN_PRICE, Number(s.price) || DEFAULT_PRICE);
+  const down = Math.max(0, Number(s.dpAmt) || 0);
+  // loanAmount: a VA snapshot priced by lib/va.js (funding fee financed)
+  const loan0 = Number(s.loanAmount) > 0 ? Number(s.loanAmount) : Math.max(0, price - down);
+  const apr = Number(s.apr) || DEFAULT_APR;
+  const r_m = apr / 100 / 12;
+  const nTot = (Number(s.termYears) || 30) * 12;
+  const piMo = loan0 > 0 ? pmti(loan0, r_m, nTot) : 0;
+  const carry0 = (Number(s.tihoa) || 0) + (Number(s.pmi) || 0);
+  const maintMo = price * o.maintenancePct / 100 / 12;
+
+  const closing = price * o.closingCostPct / 100;
+  const upfront = down + closing;
+  const rent0 = given(options.rentStart) ? Number(options.rentStart) : price * 0.01;
+
+  const monthlyRate = (pct) => Math.pow(1 + pct / 100, 1 / 12) - 1;
+  const rent_g_m = monthlyRate(o.rentGrowthPct);
+  const appr_m = monthlyRate(o.appreciationPct);
+  const inv_m = monthlyRate(o.investReturnPct);
+
+  let bal = loan0;
+  let homeVal = price;
+  let cumRent = 0;
+  let cumOwner = upfront;
+  let altInvest = down;
+  let beMonth = null;
+  const buySeries = [upfront];
+  const rentSeries = [0];
+  const equityByYear = [down];
+  const cumRentByYear = [0];
+  const homeValueByYear = [price];
+
+  for (let m = 1; m <= N; m++) {
+    // Rent path
+    cumRent += rent0 * Math.pow(1 + rent_g_m, m - 1);
+    altInvest *= 1 + inv_m;
+
+    // Buy path
+    const interest = bal * r_m;
+    const principal = Math.max(0, piMo - interest);
+    bal = Math.max(0, bal - principal);
+    const carry = carry0 * Math.pow(1 + o.taxInsGrowthPct / 100, Math.floor((m - 1) / 12));
+    cumOwner += piMo + carry + maintMo;
+    homeVal *= 1 + appr_m;
+
+    const netIfSold = Math.max(homeVal * (1 - o.sellingCostPct / 100) - bal, 0);
+    const buyNet = Math.max(0, cumOwner - netIfSold);
+    const rentNet = Math.max(0, cumRent - (altInvest - down));
+    if (beMonth === null && buyNet <= rentNet) beMonth = m;
+
+    if (m % 12 === 0) {
+      buySeries.push(round2(buyNet));
+      rentSeries.push(round2(rentNet));
+      equityByYear.push(round2(Math.max(0, homeVal - bal)));
+      cumRentByYear.push(round2(cumRent));
+      homeValueByYear.push(round2(homeVal));
+    }
+  }
+
+  return {
+    assumptions: { ...o, years: Y, rentStart: round2(rent0), price, downPayment: down, loanAmount: round2(loan0), apr, monthlyPI: round2(piMo) },
+    labels: Array.from({ length: Y + 1 }, (_, i) => t(lang, "rvbYear", { n: i })),
+    buySeries,
+    rentSeries,
+    equityByYear,
+    cumRentByYear,
+    homeValueByYear,
+    breakevenMonth: beMonth,
+    breakevenYear: beMonth !== null ? Math.ceil(beMonth / 12) : null,
+    breakevenYears: beMonth !== null ? Math.round(beMonth / 12 * 10) / 10 : null,
+    final: {
+      buyNetCost: buySeries[Y],
+      rentNetCost: rentSeries[Y],
+      advantage: round2(rentSeries[Y] - buySeries[Y]),
+      equity: equityByYear[Y]
+    }
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  validateOptions,
+  rentVsBuy,
+};
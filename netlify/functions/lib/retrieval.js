@@ -0,0 +1,97 @@
+// netlify/functions/lib/retrieval.js
+//
+// PURPOSE:
+// - Search our own blog articles for passages that answer a chat message
+//   (index: data/blog-index.json, built by scripts/build-blog-index.js)
+// - BM25 over passage text, with the page title and section heading
+//   counted alongside the passage
+// - Each hit carries a citation URL to the page we actually ship
+//
+// ENV (optional):
+//   SITE_URL / URL         base for citation links (same as send-code.js)
+//   BLOG_MIN_SCORE         relevance floor (default 2.5)
+
+const INDEX = require("../data/blog-index.json");
+
+const SITE_URL = (process.env.SITE_URL || process.env.URL || "https://theorozcorealty.netlify.app").replace(/\/+$/, "");
+const MIN_SCORE = Number(process.env.BLOG_MIN_SCORE) || 2.5;
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  ("a an and are as at be but by can could do does for from had has have how i if in into is it its " +
+   "me my no not of on or our should so than that the their them then there these they this to " +
+   "us was we were what when where which who why will with would you your about just get").split(" ")
+);
+
+// "Realtors’" → ["realtor"]; light plural stemming keeps realtor/realtors together
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[‘’`']/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length > 1 && !STOPWORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w));
+}
+
+function buildIndex(index) {
+  const docs = [];
+  for (const page of index.pages || []) {
+    for (const p of page.passages || []) {
+      const terms = tokenize(`${page.title} ${p.heading} ${p.text}`);
+      const tf = new Map();
+      for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+      docs.push({ page, passage: p, tf, length: terms.length });
+    }
+  }
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((s, d) => s + d.length, 0) / (docs.length || 1);
+  return { docs, df, avgLength };
+}
+
+const compiled = buildIndex(INDEX);
+
+function citationUrl(path) {
+  return `${SITE_URL}${path}`;
+}
+
+// → [{ id, title, heading, text, url, score }] best first, one hit per page
+function searchBlog(query, opts = {}) {
+  const limit = opts.limit ?? 3;
+  const minScore = opts.minScore ?? MIN_SCORE;
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+
+  const N = compiled.docs.length;
+  const scored = compiled.docs.map((d) => {
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      const n = compiled.df.get(t) || 0;
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      score += idf * ((f * (K1 + 1)) / (f + K1 * (1 - B + (B * d.length) / compiled.avgLength)));
+    }
+    return { d, score };
+  });
+
+  const seenPages = new Set();
+  const hits = [];
+  for (const { d, score } of scored.sort((a, b) => b.score - a.score)) {
+    if (score <= 0 || score < minScore || hits.length >= limit) break;
+    if (seenPages.has(d.page.path)) continue;
+    seenPages.add(d.page.path);
+    hits.push({
+      id: d.passage.id,
+      title: d.page.title,
+      heading: d.passage.heading,
+      text: d.passage.text,
+      url: citationUrl(d.page.path),
+      score: Math.round(score * 100) / 100,
+    });
+  }
+  return hits;
+}
+
+module.exports = { searchBlog, citationUrl, tokenize, indexVersion: INDEX.generatedAt };
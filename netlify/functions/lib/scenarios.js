@@ -0,0 +1,209 @@
+// netlify/functions/lib/scenarios.js
+//
+// PURPOSE:
+// - What-if engine for scenarios.js: one base snapshot, several purchase
+//   scenarios, each run through the same math as the memo (lib/fiduciary.js
+//   computeKPIs / gradeLetter) so the numbers match what Elena quotes
+// - A VA purchase (snapshot.va) is re-priced per scenario with lib/va.js
+//   withVaLoan, as summarize.js does: funding fee financed, no PMI, and the
+//   residual-income test counts as a memo issue
+// - runScenarios(base, scenarios) → baseline + one result per scenario, side
+//   by side, with the best-fitting scenario flagged
+//
+// SCENARIO (every field optional; missing → the base snapshot's value):
+//   name                      label shown back ("Scenario 2" by default)
+//   price                     purchase price $
+//   dpAmt | dpPct             down payment $ or % of price (0–100)
+//   apr | creditScore         rate %, or a score priced with scoreAPR
+//                             (a score without an apr replaces the base apr)
+//   termYears                 loan term
+//   tihoa | taxes+insurance+hoa   monthly $ (the parts are summed)
+//   pmi | pmiRate             monthly $, or annual % of the loan; with
+//                             neither, the base pmi carries over until the
+//                             down payment reaches 20% (then 0)
+//   incomeChange              monthly $ added to income (negative = a cut)
+//   incomeChangePct           % applied to income before incomeChange
+//
+// BEST FIT: fewest memo issues (lib/memo.js detectIssues: negative cash flow,
+// DTI over the memo's max, VA residual short, thin runway), then housing at or under the top of
+// the 28–33% lane, then the better grade, then more free cash flow.
+
+const { GRADES, pmti, scoreAPR, computeKPIs, gradeLetter } = require("./fiduciary");
+const { detectIssues } = require("./memo");
+const { withVaLoan } = require("./va");
+
+const MAX_SCENARIOS = 8;
+const PMI_FREE_LTV = 0.80;
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const given = (v) => v !== undefined && v !== null && v !== "";
+const round = (n, d) => (Number.isFinite(n) ? Number(n.toFixed(d)) : null);
+
+// [field, min, max]; every numeric scenario field
+const FIELDS = [
+  ["price", 0, 1e8],
+  ["dpAmt", 0, 1e8],
+  ["dpPct", 0, 100],
+  ["apr", 0, 30],
+  ["creditScore", 300, 850],
+  ["termYears", 1, 50],
+  ["tihoa", 0, 1e6],
+  ["taxes", 0, 1e6],
+  ["insurance", 0, 1e6],
+  ["hoa", 0, 1e6],
+  ["pmi", 0, 1e6],
+  ["pmiRate", 0, 5],
+  ["incomeChange", -1e7, 1e7],
+  ["incomeChangePct", -100, 1000]
+];
+
+// → [{ index, field, error }], empty when the list is usable
+function validateScenarios(list) {
+  if (!Array.isArray(list) || !list.length) {
+    return [{ index: null, field: "scenarios", error: "scenarios must be a non-empty array" }];
+  }
+  if (list.length > MAX_SCENARIOS) {
+    return [{ index: null, field: "scenarios", error: `at most ${MAX_SCENARIOS} scenarios` }];
+  }
+  const errors = [];
+  list.forEach((sc, index) => {
+    if (!isObj(sc)) {
+      errors.push({ index, field: null, error: "scenario must be an object" });
+      return;
+    }
+    for (const [field, min, max] of FIELDS) {
+      if (!given(sc[field])) continue;
+      const n = Number(sc[field]);
+      if (!Number.isFinite(n) || n < min || n > max) {
+        errors.push({ index, field, error: `${field} must be a number from ${min} to ${max}` });
+      }
+    }
+    if (given(sc.dpAmt) && given(sc.price) && Number(sc.dpAmt) > Number(sc.price)) {
+      errors.push({ index, field: "dpAmt", error: "dpAmt cannot exceed price" });
+    }
+  });
+  return errors;
+}
+
+// base snapshot + scenario overrides → the snapshot computeKPIs sees, plus
+// the loan terms used to build its housing cost
+function applyScenario(base, sc) {
+  const pick = (field, fallback) => (given(sc[field]) ? Number(sc[field]) : fallback);
+
+  const price = pick("price", Number(base.price) || 0);
+  let dpAmt;
+  if (given(sc.dpAmt)) dpAmt = Number(sc.dpAmt);
+  else if (given(sc.dpPct)) dpAmt = price * Number(sc.dpPct) / 100;
+  else if (given(sc.price) && Number(base.price) > 0) dpAmt = price * (Number(base.dpAmt) || 0) / Number(base.price);
+  else dpAmt = Number(base.dpAmt) || 0;
+  dpAmt = Math.min(Math.max(0, dpAmt), price);
+  const loan = Math.max(0, price - dpAmt);
+
+  const creditScore = pick("creditScore", Number(base.creditScore) || 720);
+  let apr, aprSource;
+  if (given(sc.apr)) { apr = Number(sc.apr); aprSource = "given"; }
+  else if (given(sc.creditScore)) { apr = scoreAPR(creditScore); aprSource = "credit_score"; }
+  else if (Number(base.apr) > 0) { apr = Number(base.apr); aprSource = "base"; }
+  else { apr = scoreAPR(creditScore); aprSource = "credit_score"; }
+
+  const termYears = pick("termYears", Number(base.termYears) || 30);
+
+  const parts = ["taxes", "insurance", "hoa"].filter((f) => given(sc[f]));
+  const tihoa = given(sc.tihoa)
+    ? Number(sc.tihoa)
+    : parts.length ? parts.reduce((sum, f) => sum + Number(sc[f]), 0) : Number(base.tihoa) || 0;
+
+  const ltv = price > 0 ? loan / price : 0;
+  let pmi;
+  if (given(sc.pmi)) pmi = Number(sc.pmi);
+  else if (given(sc.pmiRate)) pmi = loan * Number(sc.pmiRate) / 100 / 12;
+  else pmi = ltv > PMI_FREE_LTV ? Number(base.pmi) || 0 : 0;
+
+  const baseIncome = Number(base.income) || 0;
+  const income = Math.max(0, baseIncome * (1 + pick("incomeChangePct", 0) / 100) + pick("incomeChange", 0));
+
+  const pAndI = loan > 0 ? pmti(loan, apr / 100 / 12, Math.max(1, termYears * 12)) : 0;
+  const housing = pAndI + tihoa + pmi;
+
+  return {
+    snapshot: { ...base, income, price, dpAmt, apr, creditScore, termYears, tihoa, pmi, pAndI, housing },
+    terms: { price, dpAmt, dpPct: price > 0 ? dpAmt / price * 100 : 0, loan, ltv, apr, aprSource, creditScore, termYears, tihoa, pmi, income }
+  };
+}
+
+function resultOf(name, scenario, terms) {
+  const { snapshot, va } = withVaLoan(scenario);
+  const vaPriced = snapshot !== scenario;
+  const k = { ...computeKPIs(snapshot), va };
+  const grade = gradeLetter(k);
+  return {
+    name,
+    inputs: {
+      price: round(terms.price, 2),
+      downPayment: round(terms.dpAmt, 2),
+      dpPct: round(terms.dpPct, 2),
+      loan: round(vaPriced ? va.loanAmount : terms.loan, 2),
+      ltv: round(terms.ltv, 4),
+      apr: round(terms.apr, 3),
+      aprSource: terms.aprSource,
+      creditScore: terms.creditScore,
+      termYears: terms.termYears,
+      tihoa: round(terms.tihoa, 2),
+      pmi: round(vaPriced ? 0 : terms.pmi, 2),
+      income: round(k.income, 2)
+    },
+    pAndI: round(Number(snapshot.pAndI) || 0, 2),
+    housing: round(k.housing, 2),
+    housingShare: round(k.housingShare, 4),
+    dti: round(k.dti, 4),
+    freeCashFlow: round(k.freePost, 2),
+    runwayMonths: round(k.runwayMonths, 2),
+    grade,
+    stress: { dti: round(k.stress.dti, 4), freeCashFlow: round(k.stress.freePost, 2) },
+    withinLane: k.housingShare <= k.targets.housingLaneMax,
+    va: va ? {
+      fundingFeePct: va.fundingFee.pct,
+      fundingFee: round(va.fundingFee.amount, 2),
+      residual: round(va.residual.actual, 2),
+      residualGuideline: va.residual.guideline,
+      residualPasses: va.residual.passes
+    } : null,
+    issues: detectIssues(k),
+    bestFit: false
+  };
+}
+
+// Lower sorts first: fewer issues, within the lane, better grade, more cash flow
+function fitOrder(a, b) {
+  return (a.issues.length - b.issues.length)
+    || (Number(b.withinLane) - Number(a.withinLane))
+    || (GRADES.indexOf(b.grade) - GRADES.indexOf(a.grade))
+    || (b.freeCashFlow - a.freeCashFlow);
+}
+
+// base: a realtysass.bridge snapshot; scenarios: validated list
+// → { baseline, scenarios:[...], bestFit: index }
+function runScenarios(base, scenarios) {
+  const baseTerms = applyScenario(base, {}).terms;
+  // The baseline keeps the dashboard's own housing figure (it may include
+  // costs the scenario math does not know about) unless it is a priced VA
+  // purchase, which withVaLoan re-prices as it does every scenario
+  const baseline = resultOf("Current", { ...base, pAndI: Number(base.pAndI) || 0 }, baseTerms);
+
+  const results = scenarios.map((sc, index) => {
+    const { snapshot, terms } = applyScenario(base, sc);
+    const name = String(sc.name || "").trim().slice(0, 60) || `Scenario ${index + 1}`;
+    return { index, ...resultOf(name, snapshot, terms) };
+  });
+
+  const best = results.slice().sort(fitOrder)[0];
+  best.bestFit = true;
+  return { baseline, scenarios: results, bestFit: best.index };
+}
+
+module.exports = {
+  MAX_SCENARIOS,
+  validateScenarios,
+  applyScenario,
+  runScenarios,
+};
@@ -0,0 +1,48 @@
+// netlify/functions/lib/schools.js
+//
+// PURPOSE:
+// - Campus lookup by ZIP from the TEA TAPR CSV (shared by schools.js and
+//   Elena's school_lookup tool in lib/tools.js)
+//
+// ENV (optional):
+//   TEA_TAPR_CSV_URL = public CSV/TSV you’ve hosted (district/campus level)
+//
+// The CSV download is abandoned after timeoutMs (default 8s) so a slow host
+// cannot hold a chat turn or the function open until it is killed.
+
+const FETCH_TIMEOUT_MS = 8000;
+
+const RATING_NOTE = "Ratings reflect the most recent TEA Accountability release available in the TAPR dataset you configured.";
+
+// → { zip, campuses:[{ name, district, rating }], ratingNote, source }
+async function lookupSchools(zip, { timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+  const TEA = process.env.TEA_TAPR_CSV_URL || "";
+  const campuses = [];
+  if (TEA) {
+    const r = await fetch(TEA, { signal: AbortSignal.timeout(timeoutMs) });
+    if (r.ok) {
+      const text = await r.text();
+      // naive CSV parse (assumes header with columns: CAMPUS_NAME, ZIP, RATING, DISTRICT)
+      const rows = text.split(/\r?\n/).map(l=>l.split(/,(?=(?:(?:[^"]*"){2})*[^"]*$)/));
+      const hdr = rows.shift();
+      const idxZIP = hdr.findIndex(h=>/zip/i.test(h));
+      const idxName = hdr.findIndex(h=>/campus|school/i.test(h));
+      const idxDist = hdr.findIndex(h=>/district/i.test(h));
+      const idxRate = hdr.findIndex(h=>/rating|score|acct/i.test(h));
+      for (const r of rows) {
+        if (!r.length) continue;
+        const z = (r[idxZIP]||"").replace(/[^0-9]/g,"");
+        if (z === zip) {
+          campuses.push({
+            name: (r[idxName]||"").replace(/^"|"$/g,""),
+            district: (r[idxDist]||"").replace(/^"|"$/g,""),
+            rating: (r[idxRate]||"").replace(/^"|"$/g,"")
+          });
+        }
+      }
+    }
+  }
+  return { zip, campuses, ratingNote: RATING_NOTE, source: TEA || "Upload TEA_TAPR_CSV_URL (public CSV) for live results." };
+}
+
+module.exports = { lookupSchools };
@@ -0,0 +1,170 @@
+// netlify/functions/lib/session.js
+//
+// PURPOSE:
+// - Issue short-lived signed session tokens after verify-code succeeds
+// - Issue longer-lived refresh tokens so the browser can renew quietly
+// - Shared guard other functions opt into: requireSession(event)
+// - Single-use magic-link tokens for send-code.js / verify-code.js
+//
+// REQUIREMENTS:
+// - SESSION_SECRET            (HS256 signing key, 32+ chars)
+// - SESSION_TTL_SECONDS       (optional, default 900 = 15 min)
+// - REFRESH_TTL_SECONDS       (optional, default 2592000 = 30 days)
+//   counted from the original verification: refreshing renews the access
+//   token but never moves the refresh expiry, so a session ends at most
+//   REFRESH_TTL after verify-code however often it is refreshed
+//
+// CLAIMS:
+//   sub       verified email (lowercased)
+//   typ       "access" | "refresh" | "magic"
+//   rank      rank/paygrade captured at send-code
+//   lastName  last name captured at send-code
+//   auth_time when verify-code verified the email (epoch seconds)
+
+const { SignJWT, jwtVerify, errors } = require("jose");
+
+const ISSUER = "orozcorealty";
+const AUDIENCE = "realtysass";
+const SESSION_TTL = Number(process.env.SESSION_TTL_SECONDS) || 15 * 60;
+const REFRESH_TTL = Number(process.env.REFRESH_TTL_SECONDS) || 30 * 24 * 60 * 60;
+
+function secretKey() {
+  const secret = process.env.SESSION_SECRET || "";
+  if (!secret) return null;
+  return new TextEncoder().encode(secret);
+}
+
+function isConfigured() {
+  return !!secretKey();
+}
+
+// exp: absolute expiry, epoch seconds
+async function sign(claims, typ, exp) {
+  const key = secretKey();
+  if (!key) throw new Error("SESSION_SECRET not configured");
+  return new SignJWT({ ...claims, typ })
+    .setProtectedHeader({ alg: "HS256" })
+    .setIssuer(ISSUER)
+    .setAudience(AUDIENCE)
+    .setSubject(claims.email)
+    .setIssuedAt()
+    .setExpirationTime(exp)
+    .sign(key);
+}
+
+// profile: { email, rank, lastName, ... } as returned by verify-code;
+// authTime (epoch seconds) is carried over by refreshSession
+async function issueSession(profile) {
+  const now = Math.floor(Date.now() / 1000);
+  const authTime = Number(profile.authTime) || now;
+  const claims = {
+    email: String(profile.email || "").trim().toLowerCase(),
+    rank: profile.rank || "",
+    lastName: profile.lastName || "",
+    auth_time: authTime,
+  };
+  const refreshExp = authTime + REFRESH_TTL;
+  const accessExp = Math.min(now + SESSION_TTL, refreshExp);
+  const token = await sign(claims, "access", accessExp);
+  const refreshToken = await sign(claims, "refresh", refreshExp);
+  return {
+    token,
+    refreshToken,
+    expiresAt: new Date(accessExp * 1000).toISOString(),
+    refreshExpiresAt: new Date(refreshExp * 1000).toISOString(),
+  };
+}
+
+// → { ok:true, session } | { ok:false, statusCode, code, error }
+async function verifyToken(token, typ) {
+  const key = secretKey();
+  if (!key) {
+    return { ok: false, statusCode: 500, code: "session_unconfigured", error: "SESSION_SECRET not configured" };
+  }
+  try {
+    const { payload } = await jwtVerify(token, key, { issuer: ISSUER, audience: AUDIENCE });
+    if (payload.typ !== typ) {
+      return { ok: false, statusCode: 401, code: "session_invalid", error: "Wrong token type." };
+    }
+    return {
+      ok: true,
+      session: {
+        email: payload.sub,
+        rank: payload.rank || "",
+        lastName: payload.lastName || "",
+        // tokens issued before auth_time existed: their own issue time
+        authTime: payload.auth_time || payload.iat,
+        expiresAt: new Date(payload.exp * 1000).toISOString(),
+      },
+    };
+  } catch (err) {
+    if (err instanceof errors.JWTExpired) {
+      return { ok: false, statusCode: 401, code: "session_expired", error: "Session expired. Refresh or verify again." };
+    }
+    return { ok: false, statusCode: 401, code: "session_invalid", error: "Invalid session token." };
+  }
+}
+
+function bearerFrom(event) {
+  const h = event.headers || {};
+  const raw = h.authorization || h.Authorization || "";
+  const m = /^Bearer\s+(.+)$/i.exec(raw.trim());
+  return m ? m[1].trim() : "";
+}
+
+// Guard for handlers. With { optional:true } a missing token passes through
+// as session:null, but a bad or expired token is still rejected so the
+// client knows to refresh.
+async function requireSession(event, opts = {}) {
+  const token = bearerFrom(event);
+  if (!token) {
+    if (opts.optional) return { ok: true, session: null };
+    return { ok: false, statusCode: 401, code: "auth_required", error: "Verification required." };
+  }
+  return verifyToken(token, "access");
+}
+
+async function refreshSession(refreshToken) {
+  const res = await verifyToken(refreshToken, "refresh");
+  if (!res.ok) return res;
+  const tokens = await issueSession(res.session);
+  return { ok: true, session: res.session, ...tokens };
+}
+
+// Magic link: binds to one email_codes row (rid = its created_at) and a
+// random nonce whose hash is stored on that row. Expires with the code.
+async function signMagicLink({ email, rid, nonce, expiresAt }) {
+  const key = secretKey();
+  if (!key) throw new Error("SESSION_SECRET not configured");
+  return new SignJWT({ typ: "magic", rid, nonce })
+    .setProtectedHeader({ alg: "HS256" })
+    .setIssuer(ISSUER)
+    .setAudience(AUDIENCE)
+    .setSubject(email)
+    .setIssuedAt()
+    .setExpirationTime(Math.floor(new Date(expiresAt).getTime() / 1000))
+    .sign(key);
+}
+
+// → { ok:true, link:{ email, rid, nonce } } | { ok:false, code:"expired"|"invalid" }
+async function verifyMagicLink(token) {
+  const key = secretKey();
+  if (!key) return { ok: false, code: "invalid" };
+  try {
+    const { payload } = await jwtVerify(token, key, { issuer: ISSUER, audience: AUDIENCE });
+    if (payload.typ !== "magic" || !payload.rid || !payload.nonce) return { ok: false, code: "invalid" };
+    return { ok: true, link: { email: payload.sub, rid: payload.rid, nonce: payload.nonce } };
+  } catch (err) {
+    return { ok: false, code: err instanceof errors.JWTExpired ? "expired" : "invalid" };
+  }
+}
+
+module.exports = {
+  isConfigured,
+  signMagicLink,
+  verifyMagicLink,
+  issueSession,
+  requireSession,
+  refreshSession,
+  bearerFrom,
+};
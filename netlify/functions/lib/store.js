@@ -0,0 +1,65 @@
+// netlify/functions/lib/store.js
+//
+// PURPOSE:
+// - One storage interface for verification codes, throttle events, profiles
+//   and per-user documents (dashboard snapshot, memos, ...)
+// - Backends: Supabase, Netlify Blobs, in-memory (lib/store/*.js)
+//
+// PICKING A BACKEND (AUTH_STORE env):
+//   "supabase" | "blobs" | "memory"
+//   unset → supabase if SUPABASE_URL is set, blobs when running on Netlify,
+//           memory on a local run (lib/env.js: netlify dev / tests), else
+//           createStore throws → the handlers' 500 "Storage not configured"
+//           (each instance would have its own memory: codes sent by one
+//           would never verify on another)
+//   createStore(event, "blobs") forces a backend (chat transcripts use this)
+//
+// INTERFACE (all async; throws on backend failure):
+//   codes.latest(email)                      → row | null
+//   codes.replace(email, row)                drops older codes for the email
+//   codes.addAttempt(email, createdAt)       → attempts incl. this one, atomically
+//                                              (null if that code is gone)
+//   codes.consume(email, createdAt)          → true if this caller consumed it
+//   codes.remove(email)                      drops every code for the email
+//   events.count(scope, key, sinceIso)       → number
+//   events.add([{ scope, key, created_at }])
+//   events.remove(scope, key)
+//   profiles.get(email)                      → profile | null
+//   profiles.put(email, partialProfile)      → merged profile
+//   profiles.remove(email)
+//   userData.get(email, key)                 → value | null
+//   userData.put(email, key, value)          overwrites
+//   userData.list(email, prefix?)            → [key, ...]
+//   userData.remove(email, key)
+//   tombstones.add({ subject, action, at, ... })   privacy audit trail
+//   tombstones.list(subject)                 → [record, ...]  (subject = hashed email)
+
+const { createSupabaseStore } = require("./store/supabase");
+const { createBlobsStore } = require("./store/blobs");
+const { createMemoryStore } = require("./store/memory");
+const { isLocalDev } = require("./env");
+
+const BACKENDS = {
+  supabase: createSupabaseStore,
+  blobs: createBlobsStore,
+  memory: createMemoryStore,
+};
+
+function backendName(event) {
+  const explicit = (process.env.AUTH_STORE || "").toLowerCase();
+  if (explicit) return explicit;
+  if (process.env.SUPABASE_URL) return "supabase";
+  if ((event && event.blobs) || process.env.NETLIFY_BLOBS_CONTEXT) return "blobs";
+  if (isLocalDev()) return "memory";
+  throw new Error("No storage backend configured (set AUTH_STORE, SUPABASE_URL or run on Netlify)");
+}
+
+// event: the handler event (Blobs needs it in Lambda-compatible functions)
+function createStore(event, forceName) {
+  const name = forceName || backendName(event);
+  const factory = BACKENDS[name];
+  if (!factory) throw new Error(`Unknown AUTH_STORE "${name}"`);
+  return factory(event);
+}
+
+module.exports = { createStore, backendName };
@@ -0,0 +1,136 @@
+// netlify/functions/lib/store/blobs.js
+//
+// Netlify Blobs-backed auth store. Works on any Netlify deploy with no
+// database. Blob store "auth":
+//   codes/<email>          latest code row (older codes are overwritten)
+//   attempts/<email>/<createdAt>/<uuid>   one blob per verify attempt
+//   events/<scope>/<key>   [createdAtMs, ...] pruned to the last 24h
+//   profiles/<email>       profile json
+//   user/<email>/<key>     per-user documents (key may contain "/")
+//   tombstones/<subject>/<at>  privacy audit records (subject = hashed email)
+//
+// NOTE: Blobs has no transactions, so consume() is get → compare → delete.
+// Good enough for one user racing themselves; Supabase is the strict option.
+// Attempts are not a counter on the row (parallel read → +1 → write would
+// lose increments): each attempt writes its own blob and the count is a
+// list after the write, so the k-th caller to list sees at least k.
+
+const crypto = require("crypto");
+const { getStore, connectLambda } = require("@netlify/blobs");
+
+const EVENT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const k = (s) => encodeURIComponent(String(s));
+
+function createBlobsStore(event) {
+  // Lambda-compatible handlers must hand the invocation context to Blobs
+  if (event && event.blobs) connectLambda(event);
+  const blobs = getStore({ name: "auth", consistency: "strong" });
+
+  const attemptsPrefix = (email, createdAt) => `attempts/${k(email)}/${k(createdAt)}/`;
+  async function countAttempts(email, createdAt) {
+    const { blobs: items } = await blobs.list({ prefix: attemptsPrefix(email, createdAt) });
+    return items.length;
+  }
+  async function dropAttempts(email) {
+    const { blobs: items } = await blobs.list({ prefix: `attempts/${k(email)}/` });
+    for (const b of items) await blobs.delete(b.key);
+  }
+
+  return {
+    name: "blobs",
+
+    codes: {
+      async latest(email) {
+        const row = (await blobs.get(`codes/${k(email)}`, { type: "json" })) || null;
+        if (!row) return null;
+        return { ...row, attempts: (row.attempts || 0) + (await countAttempts(email, row.created_at)) };
+      },
+      async replace(email, row) {
+        await dropAttempts(email);
+        await blobs.setJSON(`codes/${k(email)}`, row);
+      },
+      async addAttempt(email, createdAt) {
+        const row = await blobs.get(`codes/${k(email)}`, { type: "json" });
+        if (!row || row.created_at !== createdAt) return null;
+        await blobs.set(`${attemptsPrefix(email, createdAt)}${crypto.randomUUID()}`, "1");
+        return (row.attempts || 0) + (await countAttempts(email, createdAt));
+      },
+      async consume(email, createdAt) {
+        const row = await blobs.get(`codes/${k(email)}`, { type: "json" });
+        if (!row || row.created_at !== createdAt) return false;
+        await blobs.delete(`codes/${k(email)}`);
+        await dropAttempts(email);
+        return true;
+      },
+      async remove(email) {
+        await blobs.delete(`codes/${k(email)}`);
+        await dropAttempts(email);
+      },
+    },
+
+    events: {
+      async count(scope, key, sinceIso) {
+        const since = new Date(sinceIso).getTime();
+        const list = (await blobs.get(`events/${scope}/${k(key)}`, { type: "json" })) || [];
+        return list.filter((t) => t >= since).length;
+      },
+      async add(rows) {
+        const cutoff = Date.now() - EVENT_RETENTION_MS;
+        for (const r of rows) {
+          const path = `events/${r.scope}/${k(r.key)}`;
+          const list = (await blobs.get(path, { type: "json" })) || [];
+          list.push(new Date(r.created_at).getTime());
+          await blobs.setJSON(path, list.filter((t) => t >= cutoff));
+        }
+      },
+      async remove(scope, key) {
+        await blobs.delete(`events/${scope}/${k(key)}`);
+      },
+    },
+
+    profiles: {
+      async get(email) {
+        return (await blobs.get(`profiles/${k(email)}`, { type: "json" })) || null;
+      },
+      async put(email, profile) {
+        const next = { ...((await this.get(email)) || {}), ...profile, email };
+        await blobs.setJSON(`profiles/${k(email)}`, next);
+        return next;
+      },
+      async remove(email) {
+        await blobs.delete(`profiles/${k(email)}`);
+      },
+    },
+
+    userData: {
+      async get(email, key) {
+        return (await blobs.get(`user/${k(email)}/${key}`, { type: "json" })) ?? null;
+      },
+      async put(email, key, value) {
+        await blobs.setJSON(`user/${k(email)}/${key}`, value);
+      },
+      async list(email, prefix = "") {
+        const head = `user/${k(email)}/`;
+        const { blobs: items } = await blobs.list({ prefix: head + prefix });
+        return items.map((b) => b.key.slice(head.length)).sort();
+      },
+      async remove(email, key) {
+        await blobs.delete(`user/${k(email)}/${key}`);
+      },
+    },
+
+    tombstones: {
+      async add(record) {
+        await blobs.setJSON(`tombstones/${record.subject}/${record.at}`, record);
+      },
+      async list(subject) {
+        const { blobs: items } = await blobs.list({ prefix: `tombstones/${subject}/` });
+        const out = [];
+        for (const b of items) out.push(await blobs.get(b.key, { type: "json" }));
+        return out.filter(Boolean).sort((a, b) => String(a.at).localeCompare(String(b.at)));
+      },
+    },
+  };
+}
+
+module.exports = { createBlobsStore };
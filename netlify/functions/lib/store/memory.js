@@ -0,0 +1,115 @@
+// netlify/functions/lib/store/memory.js
+//
+// In-memory auth store. Lives as long as the warm function instance, so it is
+// only meant for local dev (netlify dev) and tests — no outside services.
+
+const state = {
+  codes: new Map(),    // email → latest code row
+  events: new Map(),   // "scope|key" → [createdAtMs, ...]
+  profiles: new Map(), // email → profile
+  userData: new Map(), // "email|key" → value
+  tombstones: [],      // privacy audit records
+};
+
+const clone = (v) => (v == null ? null : JSON.parse(JSON.stringify(v)));
+
+function createMemoryStore() {
+  return {
+    name: "memory",
+
+    codes: {
+      async latest(email) {
+        return clone(state.codes.get(email));
+      },
+      async replace(email, row) {
+        state.codes.set(email, clone(row));
+      },
+      async addAttempt(email, createdAt) {
+        const row = state.codes.get(email);
+        if (!row || row.created_at !== createdAt) return null;
+        row.attempts = (row.attempts || 0) + 1;
+        return row.attempts;
+      },
+      async consume(email, createdAt) {
+        const row = state.codes.get(email);
+        if (!row || row.created_at !== createdAt) return false;
+        state.codes.delete(email);
+        return true;
+      },
+      async remove(email) {
+        state.codes.delete(email);
+      },
+    },
+
+    events: {
+      async count(scope, key, sinceIso) {
+        const since = new Date(sinceIso).getTime();
+        return (state.events.get(`${scope}|${key}`) || []).filter((t) => t >= since).length;
+      },
+      async add(rows) {
+        for (const r of rows) {
+          const k = `${r.scope}|${r.key}`;
+          const list = state.events.get(k) || [];
+          list.push(new Date(r.created_at).getTime());
+          state.events.set(k, list);
+        }
+      },
+      async remove(scope, key) {
+        state.events.delete(`${scope}|${key}`);
+      },
+    },
+
+    profiles: {
+      async get(email) {
+        return clone(state.profiles.get(email));
+      },
+      async put(email, profile) {
+        const next = { ...(state.profiles.get(email) || {}), ...clone(profile), email };
+        state.profiles.set(email, next);
+        return clone(next);
+      },
+      async remove(email) {
+        state.profiles.delete(email);
+      },
+    },
+
+    userData: {
+      async get(email, key) {
+        return clone(state.userData.get(`${email}|${key}`));
+      },
+      async put(email, key, value) {
+        state.userData.set(`${email}|${key}`, clone(value));
+      },
+      async list(email, prefix = "") {
+        const head = `${email}|${prefix}`;
+        return [...state.userData.keys()]
+          .filter((k) => k.startsWith(head))
+          .map((k) => k.slice(email.length + 1))
+          .sort();
+      },
+      async remove(email, key) {
+        state.userData.delete(`${email}|${key}`);
+      },
+    },
+
+    tombstones: {
+      async add(record) {
+        state.tombstones.push(clone(record));
+      },
+      async list(subject) {
+        return clone(state.tombstones.filter((t) => t.subject === subject));
+      },
+    },
+  };
+}
+
+// Clears everything (local scripts / repeated dev runs)
+function resetMemoryStore() {
+  state.codes.clear();
+  state.events.clear();
+  state.profiles.clear();
+  state.userData.clear();
+  state.tombstones.length = 0;
+}
+
+module.exports = { createMemoryStore, resetMemoryStore };
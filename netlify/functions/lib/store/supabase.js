@@ -0,0 +1,207 @@
+// netlify/functions/lib/store/supabase.js
+//
+// Supabase-backed auth store (production default when SUPABASE_URL is set).
+//
+// REQUIREMENTS:
+//  - SUPABASE_URL
+//  - SUPABASE_SERVICE_KEY
+//
+// TABLES:
+//   public.email_codes   see verify-code.js (+ channel text)
+//   public.auth_events   see lib/otp.js
+//   public.profiles
+//     email       text primary key
+//     data        jsonb     <-- { rank, lastName, phone, verifiedAt, ... }
+//     updated_at  timestamptz
+//   public.user_data
+//     email       text
+//     key         text      <-- "dashboard", "memos/<id>", ...
+//     data        jsonb
+//     updated_at  timestamptz
+//     primary key (email, key)
+//   public.privacy_tombstones
+//     subject     text      <-- sha256 of the email (never the email itself)
+//     action      text      <-- "export" | "delete"
+//     at          timestamptz
+//     detail      jsonb
+
+const { createClient } = require("@supabase/supabase-js");
+
+const ATTEMPT_RETRIES = 5;
+
+function check(error, what) {
+  if (error) {
+    console.error(`Supabase ${what} error:`, error);
+    throw new Error(`Supabase ${what} failed`);
+  }
+}
+
+function createSupabaseStore() {
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    throw new Error("Supabase env not configured");
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, {
+    auth: { persistSession: false },
+  });
+
+  return {
+    name: "supabase",
+
+    codes: {
+      async latest(email) {
+        const { data, error } = await supabase
+          .from("email_codes")
+          .select("*")
+          .eq("email", email)
+          .order("created_at", { ascending: false })
+          .limit(1);
+        check(error, "code lookup");
+        return data && data[0] ? data[0] : null;
+      },
+      async replace(email, row) {
+        const { error: purgeErr } = await supabase.from("email_codes").delete().eq("email", email);
+        check(purgeErr, "code purge");
+        const { error } = await supabase.from("email_codes").insert([row]);
+        check(error, "code insert");
+      },
+      // compare-and-set on the count read, so concurrent guesses can't
+      // overwrite each other's increment
+      async addAttempt(email, createdAt) {
+        for (let i = 0; i < ATTEMPT_RETRIES; i++) {
+          const { data, error } = await supabase
+            .from("email_codes")
+            .select("attempts")
+            .eq("email", email)
+            .eq("created_at", createdAt)
+            .limit(1);
+          check(error, "attempt lookup");
+          if (!data || !data[0]) return null;
+          const seen = data[0].attempts || 0;
+          const { data: updated, error: updateErr } = await supabase
+            .from("email_codes")
+            .update({ attempts: seen + 1 })
+            .eq("email", email)
+            .eq("created_at", createdAt)
+            .eq("attempts", seen)
+            .select("attempts");
+          check(updateErr, "attempt update");
+          if (updated && updated.length) return seen + 1;
+        }
+        throw new Error("Supabase attempt update failed: too much contention");
+      },
+      // only one caller can win the delete
+      async consume(email, createdAt) {
+        const { data, error } = await supabase
+          .from("email_codes")
+          .delete()
+          .eq("email", email)
+          .eq("created_at", createdAt)
+          .select("email");
+        check(error, "code consume");
+        return !!(data && data.length);
+      },
+      async remove(email) {
+        const { error } = await supabase.from("email_codes").delete().eq("email", email);
+        check(error, "code delete");
+      },
+    },
+
+    events: {
+      async count(scope, key, sinceIso) {
+        const { count, error } = await supabase
+          .from("auth_events")
+          .select("created_at", { count: "exact", head: true })
+          .eq("scope", scope)
+          .eq("key", key)
+          .gte("created_at", sinceIso);
+        check(error, "throttle lookup");
+        return count || 0;
+      },
+      async add(rows) {
+        const { error } = await supabase.from("auth_events").insert(rows);
+        check(error, "throttle insert");
+      },
+      async remove(scope, key) {
+        const { error } = await supabase.from("auth_events").delete().eq("scope", scope).eq("key", key);
+        check(error, "throttle delete");
+      },
+    },
+
+    profiles: {
+      async get(email) {
+        const { data, error } = await supabase
+          .from("profiles")
+          .select("data")
+          .eq("email", email)
+          .limit(1);
+        check(error, "profile lookup");
+        return data && data[0] ? { ...data[0].data, email } : null;
+      },
+      async put(email, profile) {
+        const current = (await this.get(email)) || {};
+        const next = { ...current, ...profile, email };
+        const { error } = await supabase
+          .from("profiles")
+          .upsert({ email, data: next, updated_at: new Date().toISOString() });
+        check(error, "profile upsert");
+        return next;
+      },
+      async remove(email) {
+        const { error } = await supabase.from("profiles").delete().eq("email", email);
+        check(error, "profile delete");
+      },
+    },
+
+    userData: {
+      async get(email, key) {
+        const { data, error } = await supabase
+          .from("user_data")
+          .select("data")
+          .eq("email", email)
+          .eq("key", key)
+          .limit(1);
+        check(error, "user data lookup");
+        return data && data[0] ? data[0].data : null;
+      },
+      async put(email, key, value) {
+        const { error } = await supabase
+          .from("user_data")
+          .upsert({ email, key, data: value, updated_at: new Date().toISOString() });
+        check(error, "user data upsert");
+      },
+      async list(email, prefix = "") {
+        let q = supabase.from("user_data").select("key").eq("email", email);
+        if (prefix) q = q.like("key", `${prefix}%`);
+        const { data, error } = await q.order("key", { ascending: true });
+        check(error, "user data list");
+        return (data || []).map((r) => r.key);
+      },
+      async remove(email, key) {
+        const { error } = await supabase.from("user_data").delete().eq("email", email).eq("key", key);
+        check(error, "user data delete");
+      },
+    },
+
+    tombstones: {
+      async add(record) {
+        const { subject, action, at, ...detail } = record;
+        const { error } = await supabase.from("privacy_tombstones").insert([{ subject, action, at, detail }]);
+        check(error, "tombstone insert");
+      },
+      async list(subject) {
+        const { data, error } = await supabase
+          .from("privacy_tombstones")
+          .select("*")
+          .eq("subject", subject)
+          .order("at", { ascending: true });
+        check(error, "tombstone list");
+        return (data || []).map((r) => ({ subject: r.subject, action: r.action, at: r.at, ...(r.detail || {}) }));
+      },
+    },
+  };
+}
+
+module.exports = { createSupabaseStore };
@@ -0,0 +1,264 @@
+// netlify/functions/lib/tools.js
+//
+// PURPOSE:
+// - Server-side tools Elena can call mid-chat (OpenAI function calling)
+//     mortgage_payment   P&I + housing for a price (pmti / scoreAPR)
+//     military_pay       base pay, BAS, BAH by ZIP, VA disability (data/militaryPayTables.json)
+//     school_lookup      campuses by ZIP (lib/schools.js → TEA TAPR CSV)
+//     city_facts         population, income, housing market (cities/*.json)
+// - toolSpecs() → the "tools" array for chat/completions
+// - runTool(name, argsJson, ctx) → plain JSON result; never throws, errors
+//   come back as { error } so the model can explain instead of guessing
+//
+// CONTEXT:
+//   ctx.snapshot   the user's dashboard snapshot (ask-elena loadFinancials),
+//                  used for defaults (credit score, APR, term, down payment);
+//                  with snapshot.va, mortgage_payment prices a VA loan through
+//                  lib/va.js withVaLoan (fee financed, no PMI) as the memo does
+
+const { pmti, scoreAPR } = require("./fiduciary");
+const { withVaLoan } = require("./va");
+const { lookupSchools } = require("./schools");
+const PAY = require("../data/militaryPayTables.json");
+
+const CITIES = {
+  "san antonio": require("../cities/SanAntonio.json"),
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// school_lookup runs mid-reply: give up on the CSV host quickly
+const SCHOOL_FETCH_TIMEOUT_MS = 5000;
+
+// "e5", "E5", "e-5 " → "E-5"
+function normPaygrade(raw) {
+  const m = /^\s*([eow])\s*-?\s*(\d{1,2})\s*$/i.exec(String(raw || ""));
+  return m ? `${m[1].toUpperCase()}-${Number(m[2])}` : "";
+}
+
+// Largest YOS bracket ≤ years ("0","2",...,"30")
+function yosBracket(row, years) {
+  const y = Math.max(0, Number(years) || 0);
+  const keys = Object.keys(row).map(Number).sort((a, b) => a - b);
+  let pick = keys[0];
+  for (const k of keys) if (k <= y) pick = k;
+  return String(pick);
+}
+
+/* ===================== Tools ===================== */
+
+function mortgagePayment(args, ctx) {
+  const snap = ctx.snapshot || {};
+  const price = Number(args.price) || 0;
+  if (price <= 0) return { error: "price is required" };
+
+  const downPayment = args.downPayment != null
+    ? Number(args.downPayment) || 0
+    : args.downPaymentPct != null
+      ? price * (Number(args.downPaymentPct) || 0) / 100
+      : Number(snap.dpPct) ? price * Number(snap.dpPct) / 100 : 0;
+  const creditScore = Number(args.creditScore || snap.creditScore || 720);
+  const apr = Number(args.apr) || Number(snap.apr) || scoreAPR(creditScore);
+  const termYears = Math.max(1, Number(args.termYears || snap.termYears || 30));
+  const tihoa = Number(args.taxesInsuranceHoa ?? snap.tihoa ?? 0);
+  const income = Number(snap.income) || 0;
+
+  let loan, pAndI, pmi, va = null;
+  if (snap.va && typeof snap.va === "object") {
+    const priced = withVaLoan({ ...snap, price, dpAmt: downPayment, apr, creditScore, termYears, tihoa });
+    loan = priced.va.loanAmount;
+    pAndI = priced.va.pAndI;
+    pmi = 0;
+    va = {
+      fundingFeePct: priced.va.fundingFee.pct,
+      fundingFee: Math.round(priced.va.fundingFee.amount),
+      financed: priced.va.fundingFee.financed,
+      exemptReason: priced.va.fundingFee.exemptReason,
+    };
+  } else {
+    loan = Math.max(0, price - downPayment);
+    pAndI = loan > 0 ? pmti(loan, apr / 100 / 12, termYears * 12) : 0;
+    pmi = Number(args.pmi ?? 0);
+  }
+  const housing = pAndI + tihoa + pmi;
+
+  return {
+    price,
+    downPayment: Math.round(downPayment),
+    loan: Math.round(loan),
+    apr,
+    aprSource: args.apr ? "given" : snap.apr ? "dashboard" : `credit tier (${creditScore})`,
+    termYears,
+    monthly: {
+      principalAndInterest: round2(pAndI),
+      taxesInsuranceHoa: tihoa,
+      pmi,
+      housing: round2(housing),
+    },
+    // share of the user's dashboard income, when we have it
+    housingShareOfIncome: income > 0 ? round2(housing / income) : null,
+    // VA purchase: loan includes the financed funding fee, no PMI
+    va,
+  };
+}
+
+function militaryPay(args) {
+  const paygrade = normPaygrade(args.paygrade);
+  const row = PAY.BASEPAY[paygrade];
+  if (!row) {
+    return { error: `No pay table for "${args.paygrade}"`, available: Object.keys(PAY.BASEPAY) };
+  }
+  const bracket = yosBracket(row, args.yearsOfService);
+  const basePay = row[bracket];
+  const bas = paygrade.startsWith("E") ? PAY.BAS.enlisted : PAY.BAS.officer;
+
+  let bah = null;
+  const zip = String(args.zip || "").trim();
+  if (zip) {
+    const area = PAY.BAH_TX[zip];
+    if (!area) {
+      bah = {
+        error: `No BAH rate on file for ZIP ${zip}`,
+        availableZips: Object.entries(PAY.BAH_TX).map(([z, a]) => `${z} (${a.base})`),
+      };
+    } else {
+      const withDeps = area.with[paygrade];
+      const withoutDeps = area.without[paygrade];
+      bah = {
+        zip,
+        base: area.base,
+        location: area.location,
+        verified: !!area.verified,
+        withDependents: withDeps,
+        withoutDependents: withoutDeps,
+        applies: args.dependents == null ? null : args.dependents ? withDeps : withoutDeps,
+      };
+    }
+  }
+
+  const rating = args.disabilityRating != null ? String(Math.round(Number(args.disabilityRating) / 10) * 10) : "";
+  const disability = rating && PAY.DISABILITY[rating] != null
+    ? { rating: Number(rating), monthlyVeteranAlone: PAY.DISABILITY[rating] }
+    : null;
+
+  const bahMonthly = bah && !bah.error ? (bah.applies ?? bah.withoutDependents) : 0;
+  return {
+    tableYear: PAY.version,
+    paygrade,
+    yearsOfServiceBracket: Number(bracket),
+    monthly: {
+      basePay,
+      bas,
+      bah: bahMonthly || null,
+      disability: disability ? disability.monthlyVeteranAlone : null,
+      total: round2(basePay + bas + (bahMonthly || 0) + (disability ? disability.monthlyVeteranAlone : 0)),
+    },
+    bah,
+    disability,
+    source: PAY.source,
+  };
+}
+
+async function schoolLookup(args) {
+  const zip = String(args.zip || "").replace(/[^0-9]/g, "").slice(0, 5);
+  if (zip.length !== 5) return { error: "A 5-digit ZIP is required" };
+  const res = await lookupSchools(zip, { timeoutMs: SCHOOL_FETCH_TIMEOUT_MS });
+  return { ...res, campuses: res.campuses.slice(0, 15), totalCampuses: res.campuses.length };
+}
+
+function cityFacts(args) {
+  const name = String(args.city || "San Antonio").toLowerCase().replace(/,.*$/, "").trim();
+  const city = CITIES[name];
+  if (!city) return { error: `No city file for "${args.city}"`, available: Object.values(CITIES).map((c) => c.place) };
+  const topic = String(args.topic || "").toLowerCase();
+  if (topic && city[topic]) return { place: city.place, year: city.year, [topic]: city[topic], notes: city.notes };
+  return city;
+}
+
+/* ===================== Registry ===================== */
+
+const TOOLS = {
+  mortgage_payment: {
+    description: "Monthly mortgage payment (principal & interest plus taxes/insurance/HOA and PMI) for a home price. Defaults to the user's dashboard credit score, APR, term and down payment when known; a VA buyer's loan includes the financed funding fee and carries no PMI.",
+    parameters: {
+      type: "object",
+      properties: {
+        price: { type: "number", description: "Home price in dollars" },
+        downPayment: { type: "number", description: "Down payment in dollars" },
+        downPaymentPct: { type: "number", description: "Down payment as a percent of price (used when downPayment is absent)" },
+        apr: { type: "number", description: "Annual rate in percent, e.g. 6.75" },
+        creditScore: { type: "number", description: "Credit score; picks the APR tier when apr is absent" },
+        termYears: { type: "number", description: "Loan term in years (default 30)" },
+        taxesInsuranceHoa: { type: "number", description: "Monthly taxes + insurance + HOA in dollars" },
+        pmi: { type: "number", description: "Monthly PMI in dollars" },
+      },
+      required: ["price"],
+    },
+    run: mortgagePayment,
+  },
+  military_pay: {
+    description: "Military monthly base pay, BAS and Texas BAH by ZIP (optionally VA disability) from the DoD pay tables.",
+    parameters: {
+      type: "object",
+      properties: {
+        paygrade: { type: "string", description: "Paygrade such as E-5 or O-3" },
+        yearsOfService: { type: "number", description: "Years of service" },
+        zip: { type: "string", description: "Duty-station ZIP for BAH" },
+        dependents: { type: "boolean", description: "Whether BAH is at the with-dependents rate" },
+        disabilityRating: { type: "number", description: "VA disability rating 10–100" },
+      },
+      required: ["paygrade"],
+    },
+    run: militaryPay,
+  },
+  school_lookup: {
+    description: "Public school campuses and accountability ratings for a Texas ZIP code.",
+    parameters: {
+      type: "object",
+      properties: { zip: { type: "string", description: "5-digit ZIP" } },
+      required: ["zip"],
+    },
+    run: schoolLookup,
+  },
+  city_facts: {
+    description: "City facts: population, income, education, veterans, and the housing market (values, price trends, days on market).",
+    parameters: {
+      type: "object",
+      properties: {
+        city: { type: "string", description: "City name, e.g. San Antonio" },
+        topic: {
+          type: "string",
+          enum: ["population", "households", "income", "education", "veterans", "immigration", "labor", "housing"],
+          description: "Limit the answer to one section",
+        },
+      },
+    },
+    run: cityFacts,
+  },
+};
+
+function toolSpecs() {
+  return Object.entries(TOOLS).map(([name, t]) => ({
+    type: "function",
+    function: { name, description: t.description, parameters: t.parameters },
+  }));
+}
+
+async function runTool(name, argsJson, ctx = {}) {
+  const tool = TOOLS[name];
+  if (!tool) return { error: `Unknown tool "${name}"` };
+  let args = {};
+  try {
+    args = typeof argsJson === "string" ? JSON.parse(argsJson || "{}") : argsJson || {};
+  } catch (_) {
+    return { error: "Arguments were not valid JSON" };
+  }
+  try {
+    return await tool.run(args, ctx);
+  } catch (err) {
+    console.error(`Tool ${name} error:`, err);
+    return { error: `Tool ${name} failed` };
+  }
+}
+
+module.exports = { toolSpecs, runTool, TOOL_NAMES: Object.keys(TOOLS) };
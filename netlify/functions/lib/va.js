@@ -0,0 +1,140 @@
+// netlify/functions/lib/va.js
+//
+// PURPOSE:
+// - VA purchase-loan math for summarize.js (tables: data/va-loan.json)
+//   fundingFee({ use, downPct, ... })     → { pct, exempt, exemptReason }
+//   residualGuideline({ region, familySize, loanAmount }) → monthly minimum
+//   vaLoan(snapshot)                      → the full VA read (or null)
+//   withVaLoan(snapshot)                  → { snapshot, va }: the snapshot with
+//                                           housing re-priced as a VA loan
+//                                           (fee financed, no PMI), ready for
+//                                           computeKPIs
+//
+// SNAPSHOT.va (financial-dashboard.html → buildBridgePayload; present = VA loan):
+//   use               "first" | "subsequent"          (default "first")
+//   financeFee        true → fee added to the loan    (default true)
+//   disabilityRating  0–100; >= 10 → fee exempt
+//   survivor          surviving spouse receiving DIC → exempt
+//   purpleHeart       Purple Heart on active duty → exempt
+//   familySize        household members incl. the borrower (default 1)
+//   region | state    residual-income region, or a state code to map
+//                     (else benefitsProfile.pstate, else "south")
+//   eemAmount         energy-efficiency add-on financed into the loan
+//   squareFeet        → VA maintenance/utilities estimate in the residual test
+//
+// RESIDUAL INCOME here is income − expenses − VA housing (− maintenance when
+// squareFeet is known). The dashboard's expenses are every monthly cost, not
+// only debts, so this reads stricter than a lender's worksheet.
+
+const VA = require("../data/va-loan.json");
+const { pmti, scoreAPR } = require("./fiduciary");
+
+const USES = ["first", "subsequent"];
+const REGIONS = Object.keys(VA.regions);
+const DEFAULT_REGION = "south";
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const yes = (v) => v === true || v === "Yes" || v === "yes";
+
+function regionOf(state) {
+  const code = String(state || "").trim().toUpperCase();
+  return REGIONS.find((r) => VA.regions[r].includes(code)) || null;
+}
+
+// downPct: down payment as % of price (0–100)
+function fundingFee({ use = "first", downPct = 0, disabilityRating = 0, survivor = false, purpleHeart = false } = {}) {
+  const tiers = VA.fundingFee[USES.includes(use) ? use : "first"];
+  const tier = tiers.filter((t) => downPct >= t.minDownPct).pop() || tiers[0];
+  const exemptReason =
+    Number(disabilityRating) >= VA.fundingFee.exemptMinRating ? "disability"
+    : survivor ? "survivor"
+    : purpleHeart ? "purple_heart"
+    : null;
+  return { pct: exemptReason ? 0 : tier.pct, tierPct: tier.pct, exempt: !!exemptReason, exemptReason };
+}
+
+// → { guideline, table } — monthly residual income the VA requires
+function residualGuideline({ region = DEFAULT_REGION, familySize = 1, loanAmount = 0 } = {}) {
+  const ri = VA.residualIncome;
+  const table = loanAmount > 0 && loanAmount <= ri.smallLoanMax ? "small" : "standard";
+  const row = ri.tables[table][REGIONS.includes(region) ? region : DEFAULT_REGION];
+  const size = Math.max(1, Math.min(ri.maxFamilySize, Math.round(Number(familySize) || 1)));
+  const guideline = size <= row.length
+    ? row[size - 1]
+    : row[row.length - 1] + (size - row.length) * ri.tables[table].perAdditional;
+  return { guideline, table, familySize: size };
+}
+
+// → null when the snapshot is not a VA purchase, else
+//   { use, downPct, fundingFee:{ pct, amount, financed, exempt, exemptReason },
+//     baseLoan, loanAmount, cashToClose, apr, termYears, pAndI, housing,
+//     residual:{ region, familySize, guideline, table, maintenance, actual, surplus, passes },
+//     assumptions:[...] }
+function vaLoan(s) {
+  if (!isObj(s) || !isObj(s.va)) return null;
+  const v = s.va;
+  const bp = isObj(s.benefitsProfile) ? s.benefitsProfile : {};
+  const assumptions = [];
+
+  const use = USES.includes(v.use) ? v.use : "first";
+  if (!USES.includes(v.use)) assumptions.push("use");
+  const financed = v.financeFee === undefined ? true : yes(v.financeFee);
+
+  const price = Number(s.price) || 0;
+  const dpAmt = Math.min(price, Math.max(0, Number(s.dpAmt) || 0));
+  const downPct = price > 0 ? dpAmt / price * 100 : 0;
+  const baseLoan = Math.max(0, price - dpAmt) + Math.max(0, Number(v.eemAmount) || 0);
+
+  const fee = fundingFee({
+    use,
+    downPct,
+    disabilityRating: v.disabilityRating,
+    survivor: yes(v.survivor) || bp.survivor === "Yes",
+    purpleHeart: yes(v.purpleHeart)
+  });
+  const feeAmount = baseLoan * fee.pct / 100;
+  const loanAmount = baseLoan + (financed ? feeAmount : 0);
+
+  const apr = Number(s.apr) || scoreAPR(Number(s.creditScore || 720));
+  const termYears = Number(s.termYears) || 30;
+  const pAndI = loanAmount > 0 ? pmti(loanAmount, apr / 100 / 12, Math.max(1, termYears * 12)) : 0;
+  // VA loans carry no PMI; unpriced snapshots keep the dashboard's housing
+  const housing = price > 0 ? pAndI + (Number(s.tihoa) || 0) : Number(s.housing) || 0;
+
+  let region = REGIONS.includes(v.region) ? v.region : regionOf(v.state) || regionOf(bp.pstate);
+  if (!region) { region = DEFAULT_REGION; assumptions.push("region"); }
+  if (!(Number(v.familySize) >= 1)) assumptions.push("familySize");
+  const { guideline, table, familySize } = residualGuideline({ region, familySize: v.familySize, loanAmount });
+  const maintenance = Math.max(0, Number(v.squareFeet) || 0) * VA.residualIncome.maintenancePerSqFt;
+  const actual = (Number(s.income) || 0) - (Number(s.expenses) || 0) - housing - maintenance;
+
+  return {
+    use,
+    downPct,
+    fundingFee: { pct: fee.pct, amount: feeAmount, financed, exempt: fee.exempt, exemptReason: fee.exemptReason },
+    baseLoan,
+    loanAmount,
+    cashToClose: dpAmt + (financed ? 0 : feeAmount),
+    apr,
+    termYears,
+    pAndI,
+    housing,
+    residual: { region, familySize, guideline, table, maintenance, actual, surplus: actual - guideline, passes: actual >= guideline },
+    assumptions
+  };
+}
+
+function withVaLoan(s) {
+  const va = vaLoan(s);
+  if (!va || !(Number(s.price) > 0)) return { snapshot: s, va };
+  return { snapshot: { ...s, housing: va.housing, pAndI: va.pAndI, pmi: 0, loanAmount: va.loanAmount }, va };
+}
+
+module.exports = {
+  REGIONS,
+  regionOf,
+  fundingFee,
+  residualGuideline,
+  vaLoan,
+  withVaLoan,
+};
@@ -0,0 +1,298 @@
+// netlify/functions/memo-pdf.js
+//
+// PURPOSE:
+// - Branded PDF of a memo for the client to hand to a lender or spouse:
+//   header band, client line, KPI table, the five memo paragraphs, and a
+//   disclaimer footer on every page
+// - Rendered entirely in the function (lib/pdf.js: no browser, no service)
+// - Accept POST one of:
+//     { memoId }                            a fiduciary memo from the user's
+//                                           history (summarize.js → lib/memos.js)
+//     { kind:"fiduciary", report }          report = the summarize.js response
+//                                           (memoHtml, grade, kpis incl. stress, va)
+//     { kind:"aiou", report }               report = the aiou-report.js response
+//                                           (memoHtml, meta.archetype, meta.lane, meta.scores)
+//   plus optional { client:{ name }, lang }  (lang → labels, dates, disclaimer)
+// - Return application/pdf (base64 body, Content-Disposition: attachment)
+//
+// AUTH:
+// - Authorization: Bearer <token> from verify-code.js (lib/session.js), same
+//   as the memo endpoints themselves
+
+const { requireSession } = require("./lib/session");
+const { createStore } = require("./lib/store");
+const { getMemo, validId } = require("./lib/memos");
+const { resolveLang, formatters, localeOf } = require("./lib/i18n");
+const { createPdf, htmlToParagraphs } = require("./lib/pdf");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Expose-Headers": "Content-Disposition",
+  "Content-Type": "application/json"
+};
+
+const KINDS = ["fiduciary", "aiou"];
+const MAX_BODY_BYTES = 256 * 1024;
+
+const LABELS = {
+  en: {
+    fiduciary: "Executive Fiduciary Memo",
+    aiou: "A.I.O.U Executive Buyer Memo",
+    preparedFor: "Prepared for",
+    keyFigures: "Key figures",
+    memo: "Memo",
+    grade: "Fiduciary grade",
+    income: "Monthly income",
+    expenses: "Monthly expenses",
+    savings: "Monthly savings",
+    savingsBalance: "Savings on hand",
+    housing: "Monthly housing",
+    freePost: "Free cash flow (after all obligations)",
+    housingShare: "Housing share of income",
+    dti: "DTI (expenses + housing ÷ income)",
+    totalShare: "Commitment share",
+    coverage: "Coverage (income ÷ expenses)",
+    runway: "Runway",
+    months: "months",
+    stressDti: "Stress test DTI (+2% APR, +5% expenses)",
+    stressFree: "Stress test free cash flow",
+    vaFee: "VA funding fee",
+    vaExempt: "Exempt",
+    vaFinanced: "financed",
+    vaAtClosing: "paid at closing",
+    vaLoan: "VA loan amount (no PMI)",
+    vaResidual: "VA residual income (minimum)",
+    archetype: "Archetype",
+    assumedIncome: "Estimated monthly income",
+    lane: "Housing lane (28–33% of income)",
+    perMonth: "/mo",
+    scores: "Profile scores",
+    source: { model: "Written by Elena (AI) from your figures", deterministic: "Generated from fiduciary templates" },
+    page: "Page {n} of {total}",
+    disclaimer: [
+      "Educational analysis only — not a loan approval, credit decision, appraisal, or financial, tax or legal advice.",
+      "Figures are estimates from the information you provided; confirm with your lender. The Orozco Realty · theorozcorealty.netlify.app"
+    ]
+  },
+  es: {
+    fiduciary: "Memo fiduciario ejecutivo",
+    aiou: "Memo ejecutivo del comprador A.I.O.U",
+    preparedFor: "Preparado para",
+    keyFigures: "Cifras clave",
+    memo: "Memo",
+    grade: "Calificación fiduciaria",
+    income: "Ingreso mensual",
+    expenses: "Gastos mensuales",
+    savings: "Ahorro mensual",
+    savingsBalance: "Ahorros disponibles",
+    housing: "Vivienda mensual",
+    freePost: "Flujo libre (después de todas las obligaciones)",
+    housingShare: "Participación de vivienda en el ingreso",
+    dti: "DTI (gastos + vivienda ÷ ingreso)",
+    totalShare: "Participación de compromisos",
+    coverage: "Cobertura (ingreso ÷ gastos)",
+    runway: "Reserva",
+    months: "meses",
+    stressDti: "DTI en prueba de estrés (+2% APR, +5% gastos)",
+    stressFree: "Flujo libre en prueba de estrés",
+    vaFee: "Cuota de financiamiento VA",
+    vaExempt: "Exenta",
+    vaFinanced: "financiada",
+    vaAtClosing: "pagada al cierre",
+    vaLoan: "Monto del préstamo VA (sin PMI)",
+    vaResidual: "Ingreso residual VA (mínimo)",
+    archetype: "Arquetipo",
+    assumedIncome: "Ingreso mensual estimado",
+    lane: "Carril de vivienda (28–33% del ingreso)",
+    perMonth: "/mes",
+    scores: "Puntajes del perfil",
+    source: { model: "Redactado por Elena (IA) a partir de sus cifras", deterministic: "Generado con plantillas fiduciarias" },
+    page: "Página {n} de {total}",
+    disclaimer: [
+      "Solo análisis educativo: no es una aprobación de préstamo, decisión de crédito, avalúo ni asesoría financiera, fiscal o legal.",
+      "Las cifras son estimaciones basadas en la información que usted proporcionó; confírmelas con su prestamista. The Orozco Realty · theorozcorealty.netlify.app"
+    ]
+  }
+};
+
+function respond(statusCode, obj) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(obj || {})
+  };
+}
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const finite = (v) => Number.isFinite(Number(v)) && v !== null && v !== "";
+
+// → [[label, value], ...] for the fiduciary KPI table
+function fiduciaryRows(grade, k, L, lang) {
+  const { USD, PCT0, fixed } = formatters(lang);
+  const rows = [[L.grade, grade || "—"]];
+  const add = (label, v, fmt) => { if (finite(v)) rows.push([label, fmt(Number(v))]); };
+  add(L.income, k.income, USD);
+  add(L.expenses, k.expenses, USD);
+  add(L.savings, k.savings, USD);
+  add(L.savingsBalance, k.savingsBalance, USD);
+  add(L.housing, k.housing, USD);
+  add(L.freePost, k.freePost, USD);
+  add(L.housingShare, k.housingShare, PCT0);
+  add(L.dti, k.dti, PCT0);
+  add(L.totalShare, k.totalShare, PCT0);
+  rows.push([L.coverage, finite(k.coverage) ? `${fixed(k.coverage, 2)}×` : "∞"]);
+  add(L.runway, k.runwayMonths, (n) => `${fixed(n, 1)} ${L.months}`);
+  if (isObj(k.stress)) {
+    add(L.stressDti, k.stress.dti, PCT0);
+    add(L.stressFree, k.stress.freePost, USD);
+  }
+  if (isObj(k.va)) {
+    const fee = k.va.fundingFee || {};
+    rows.push([L.vaFee, fee.exempt
+      ? L.vaExempt
+      : `${fixed(fee.pct, 2)}% · ${USD(fee.amount)} (${fee.financed ? L.vaFinanced : L.vaAtClosing})`]);
+    add(L.vaLoan, k.va.loanAmount, USD);
+    if (isObj(k.va.residual)) rows.push([L.vaResidual, `${USD(k.va.residual.actual)} (${USD(k.va.residual.guideline)})`]);
+  }
+  return rows;
+}
+
+function aiouRows(meta, L, lang) {
+  const { USD } = formatters(lang);
+  const rows = [];
+  if (meta.archetype) rows.push([L.archetype, String(meta.archetype)]);
+  if (finite(meta.assumedIncomeMonthly)) rows.push([L.assumedIncome, USD(meta.assumedIncomeMonthly) + L.perMonth]);
+  if (isObj(meta.lane) && finite(meta.lane.minMonthly)) {
+    rows.push([L.lane, `${USD(meta.lane.minMonthly)}–${USD(meta.lane.maxMonthly)}${L.perMonth}`]);
+  }
+  if (isObj(meta.scores)) {
+    for (const [name, v] of Object.entries(meta.scores).slice(0, 12)) {
+      if (finite(v)) rows.push([`${L.scores}: ${name}`, String(Math.round(Number(v) * 10) / 10)]);
+    }
+  }
+  return rows;
+}
+
+function renderPdf({ kind, memoHtml, rows, source, clientName, date, lang }) {
+  const L = LABELS[lang] || LABELS.en;
+  const title = L[kind];
+  const doc = createPdf({
+    title,
+    footer: (n, total) => [...L.disclaimer, L.page.replace("{n}", n).replace("{total}", total)]
+  });
+
+  doc.band({ title, subtitle: `The Orozco Realty · ${date}` });
+  if (clientName) doc.line(`${L.preparedFor}: ${clientName}`, { bold: true, color: "#1a1a1a", size: 10.5 });
+  if (source && L.source[source]) doc.line(L.source[source]);
+  doc.spacer(6);
+
+  if (rows.length) {
+    doc.heading(L.keyFigures);
+    doc.table(rows);
+  }
+
+  doc.heading(L.memo);
+  for (const runs of htmlToParagraphs(memoHtml)) doc.paragraph(runs);
+  doc.spacer(4);
+  doc.line("— Elena, Your Virtual Concierge · The Orozco Realty", { color: "#1a1a1a" });
+
+  return doc.toBuffer();
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return respond(200, {});
+  }
+
+  if (event.httpMethod !== "POST") {
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  const auth = await requireSession(event);
+  if (!auth.ok) {
+    return respond(auth.statusCode, { ok: false, code: auth.code, error: auth.error });
+  }
+  const session = auth.session;
+
+  if ((event.body || "").length > MAX_BODY_BYTES) {
+    return respond(413, { error: "Payload too large" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (_) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+  if (!isObj(body)) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+
+  let store = null;
+  try {
+    store = createStore(event);
+  } catch (err) {
+    console.error("Store init error:", err);
+  }
+
+  // What to render: a stored memo (trusted figures) or a posted report
+  let kind = String(body.kind || (body.memoId ? "fiduciary" : "")).toLowerCase();
+  let report = isObj(body.report) ? body.report : null;
+  let createdAt = null;
+  if (body.memoId) {
+    if (!validId(body.memoId)) return respond(400, { error: "Invalid memo id" });
+    if (!store) return respond(500, { error: "Storage not configured" });
+    let memo;
+    try {
+      memo = await getMemo(store, session.email, body.memoId);
+    } catch (err) {
+      console.error("Memo lookup error:", err);
+      return respond(500, { error: "Lookup failed." });
+    }
+    if (!memo) return respond(404, { error: "Memo not found" });
+    kind = "fiduciary";
+    report = memo;
+    createdAt = memo.createdAt;
+  }
+  if (!KINDS.includes(kind)) {
+    return respond(400, { error: `kind must be one of: ${KINDS.join(", ")}` });
+  }
+  if (!report || typeof report.memoHtml !== "string" || !report.memoHtml.trim()) {
+    return respond(400, { error: "report.memoHtml required (or a memoId)" });
+  }
+
+  const lang = await resolveLang(event, { requested: body.lang || report.lang || report.meta?.lang, email: session.email, store });
+  const L = LABELS[lang] || LABELS.en;
+  const rows = kind === "fiduciary"
+    ? fiduciaryRows(report.grade, isObj(report.kpis) ? report.kpis : {}, L, lang)
+    : aiouRows(isObj(report.meta) ? report.meta : {}, L, lang);
+
+  const clientName =
+    String(body.client?.name || "").trim().slice(0, 120) ||
+    [session.rank, session.lastName].filter(Boolean).join(" ");
+  const when = createdAt ? new Date(createdAt) : new Date();
+  const date = when.toLocaleDateString(localeOf(lang), { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+
+  let pdf;
+  try {
+    pdf = renderPdf({ kind, memoHtml: report.memoHtml, rows, source: report.source, clientName, date, lang });
+  } catch (err) {
+    console.error("PDF render error:", err);
+    return respond(500, { error: "Could not render the PDF" });
+  }
+
+  const filename = `orozco-${kind}-memo-${when.toISOString().slice(0, 10)}.pdf`;
+  return {
+    statusCode: 200,
+    headers: {
+      ...CORS_HEADERS,
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store"
+    },
+    body: pdf.toString("base64"),
+    isBase64Encoded: true
+  };
+};
@@ -0,0 +1,96 @@
+// netlify/functions/memos.js
+//
+// PURPOSE:
+//  - Past fiduciary memos for the verified user (written by summarize.js,
+//    stored by lib/memos.js)
+//  - GET                          → { ok, total, memos:[{ id, createdAt, grade, source, lang, kpis }] }
+//                                   newest first; ?limit=N (default 12)
+//  - GET ?id=<memoId>             → { ok, memo }   (snapshot + memo HTML included)
+//  - GET ?from=<id>&to=<id>       → { ok, comparison }
+//  - GET ?compare=latest          → { ok, comparison } newest vs. the one before
+//      comparison: { from, to, grade:{ from, to, steps, direction },
+//                    dti / runwayMonths / housingShare: { from, to, delta },
+//                    improved:[...], worsened:[...], summary }
+//      summary is in the caller's language (?lang=es, profile, Accept-Language)
+//
+// AUTH:
+//  - Authorization: Bearer <token> from verify-code.js (lib/session.js)
+
+const { requireSession } = require("./lib/session");
+const { createStore } = require("./lib/store");
+const { validId, memoIds, getMemo, listMemos, compareMemos } = require("./lib/memos");
+const { resolveLang } = require("./lib/i18n");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Content-Type": "application/json"
+};
+
+function respond(statusCode, obj) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(obj || {})
+  };
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return respond(200, {});
+  }
+
+  if (event.httpMethod !== "GET") {
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  const auth = await requireSession(event);
+  if (!auth.ok) {
+    return respond(auth.statusCode, { ok: false, code: auth.code, error: auth.error });
+  }
+  const email = auth.session.email;
+  const qs = event.queryStringParameters || {};
+
+  let store;
+  try {
+    store = createStore(event);
+  } catch (err) {
+    console.error("Store init error:", err);
+    return respond(500, { error: "Storage not configured" });
+  }
+
+  try {
+    // One memo
+    if (qs.id) {
+      if (!validId(qs.id)) return respond(400, { error: "Invalid memo id" });
+      const memo = await getMemo(store, email, qs.id);
+      if (!memo) return respond(404, { error: "Memo not found" });
+      return respond(200, { ok: true, memo });
+    }
+
+    // Two memos compared
+    if (qs.compare || qs.from || qs.to) {
+      let ids;
+      if (qs.compare === "latest") {
+        ids = (await memoIds(store, email)).slice(-2);
+        if (ids.length < 2) return respond(404, { error: "Need at least two memos to compare" });
+      } else {
+        ids = [qs.from, qs.to];
+        if (!ids.every(validId)) return respond(400, { error: "from and to must be memo ids (or use compare=latest)" });
+      }
+      const [a, b] = await Promise.all(ids.map((id) => getMemo(store, email, id)));
+      if (!a || !b) return respond(404, { error: "Memo not found" });
+      const lang = await resolveLang(event, { requested: qs.lang, email, store });
+      return respond(200, { ok: true, comparison: compareMemos(a, b, lang) });
+    }
+
+    // The list
+    const limit = Math.max(1, Number(qs.limit) || 12);
+    const { total, memos } = await listMemos(store, email, { limit });
+    return respond(200, { ok: true, total, memos });
+  } catch (err) {
+    console.error("Memo lookup error:", err);
+    return respond(500, { error: "Lookup failed." });
+  }
+};
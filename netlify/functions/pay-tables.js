@@ -1,9 +1,9 @@
 // netlify/functions/pay-tables.js
 
-import fs from "fs";
-import path from "path";
+const fs = require("fs");
+const path = require("path");
 
-export const handler = async () => {
+exports.handler = async () => {
   try {
     // Resolve path to the JSON file relative to the function directory
     const filePath = path.resolve("netlify/functions/data/militaryPayTables.json");
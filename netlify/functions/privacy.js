@@ -0,0 +1,193 @@
+// netlify/functions/privacy.js
+//
+// PURPOSE (data-subject requests for the verified email):
+//  - GET     → JSON export of everything we hold: profile, pending codes,
+//              and every per-user document (dashboard, memos, chat
+//              transcripts, leads, ...)
+//  - DELETE  { confirm: "<email>" } → erase all of it
+//  - Both leave an audit record in store.tombstones keyed by a hash of the
+//    email, so we can later show a request was honoured without keeping
+//    the address itself.
+//
+// AUTH:
+//  - Authorization: Bearer <token> from verify-code.js (lib/session.js)
+//
+// NOTE:
+//  - Session tokens are stateless; an erased user's token still works until
+//    it expires (refreshing cannot carry it past REFRESH_TTL from
+//    verification, lib/session.js), but there is nothing left for it to read.
+//  - stage.js stores nothing here: requests go straight to the staging
+//    provider (STAGE_API_URL), which is outside this store.
+//  - Payloads already sent to OpenAI are outside this store, and so are
+//    lead emails already delivered to an agent (handoff.js).
+//  - Chat transcripts may live in a different backend (lib/conversations.js);
+//    their documents are exported/erased from there too.
+//
+
+const crypto = require("crypto");
+const { requireSession } = require("./lib/session");
+const { createStore, backendName } = require("./lib/store");
+const { chatBackend, chatStore } = require("./lib/conversations");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "GET, DELETE, OPTIONS",
+  "Content-Type": "application/json"
+};
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+function respond(statusCode, obj, extraHeaders) {
+  return {
+    statusCode,
+    headers: { ...CORS_HEADERS, ...(extraHeaders || {}) },
+    body: JSON.stringify(obj || {})
+  };
+}
+
+// Stable pseudonymous subject id for the audit trail
+function subjectOf(email) {
+  return crypto.createHash("sha256").update(`privacy:${email}`).digest("hex");
+}
+
+// "memos/2025-11-02T..." → "memos"
+const groupOf = (key) => key.split("/")[0];
+
+// Strip secrets that are useless to the user (hashes of one-time codes)
+function exportableCode(row) {
+  if (!row) return null;
+  const { code_hash, link_hash, ...rest } = row;
+  return rest;
+}
+
+async function exportAll(store, docStores, email) {
+  const documents = {};
+  for (const s of docStores) {
+    for (const key of await s.userData.list(email)) documents[key] = await s.userData.get(email, key);
+  }
+
+  return {
+    exportedAt: new Date().toISOString(),
+    email,
+    profile: await store.profiles.get(email),
+    pendingCode: exportableCode(await store.codes.latest(email)),
+    documents,
+    auditTrail: await store.tombstones.list(subjectOf(email))
+  };
+}
+
+async function deleteAll(store, docStores, email) {
+  const removed = { documents: {}, profile: false, pendingCode: false };
+
+  for (const s of docStores) {
+    for (const key of await s.userData.list(email)) {
+      await s.userData.remove(email, key);
+      const g = groupOf(key);
+      removed.documents[g] = (removed.documents[g] || 0) + 1;
+    }
+  }
+
+  if (await store.profiles.get(email)) {
+    await store.profiles.remove(email);
+    removed.profile = true;
+  }
+
+  if (await store.codes.latest(email)) removed.pendingCode = true;
+  await store.codes.remove(email);
+  await store.events.remove("send", `email:${email}`);
+  await store.events.remove("verify", `email:${email}`);
+  await store.events.remove("lead", `email:${email}`);
+
+  return removed;
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return respond(200, {});
+  }
+
+  if (event.httpMethod !== "GET" && event.httpMethod !== "DELETE") {
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  const auth = await requireSession(event);
+  if (!auth.ok) {
+    return respond(auth.statusCode, { ok: false, code: auth.code, error: auth.error });
+  }
+  const email = auth.session.email;
+
+  let store;
+  try {
+    store = createStore(event);
+  } catch (err) {
+    console.error("Store init error:", err);
+    return respond(500, { error: "Storage not configured" });
+  }
+
+  const subject = subjectOf(email);
+  const docStores = [store];
+  if (chatBackend(event) !== backendName(event)) {
+    try {
+      docStores.push(chatStore(event));
+    } catch (err) {
+      console.error("Chat store init error:", err);
+      return respond(500, { error: "Chat storage unavailable; try again later." });
+    }
+  }
+
+  // ---- export ----
+  if (event.httpMethod === "GET") {
+    try {
+      const data = await exportAll(store, docStores, email);
+      await store.tombstones.add({
+        subject,
+        action: "export",
+        at: new Date().toISOString(),
+        documents: Object.keys(data.documents).length,
+        backend: backendName(event)
+      });
+      return respond(200, { ok: true, ...data }, {
+        "Content-Disposition": `attachment; filename="orozcorealty-data-export.json"`
+      });
+    } catch (err) {
+      console.error("Privacy export error:", err);
+      return respond(500, { error: "Export failed." });
+    }
+  }
+
+  // ---- delete ----
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+  if (!isObj(body)) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+
+  if (String(body.confirm || "").trim().toLowerCase() !== email) {
+    return respond(400, {
+      ok: false,
+      code: "confirm_required",
+      error: "Send { confirm: \"<your email>\" } to erase your data."
+    });
+  }
+
+  try {
+    const removed = await deleteAll(store, docStores, email);
+    const tombstone = {
+      subject,
+      action: "delete",
+      at: new Date().toISOString(),
+      removed,
+      backend: backendName(event)
+    };
+    await store.tombstones.add(tombstone);
+    return respond(200, { ok: true, message: "All stored data erased.", tombstone });
+  } catch (err) {
+    console.error("Privacy delete error:", err);
+    return respond(500, { error: "Delete failed. Some records may remain; please retry." });
+  }
+};
@@ -0,0 +1,163 @@
+// netlify/functions/profile.js
+//
+// PURPOSE:
+//  - GET  → { ok, profile, dashboard } for the verified email
+//  - PUT  { identity?, bridge?, monthlyHistory?, expenseRows?, version?, lang? }
+//         → stores the Financial Dashboard state server-side so it follows
+//           the user across devices (and survives cleared browser data)
+//         lang ("en" | "es") is saved on the profile, not the dashboard: it is
+//           the default language for Elena and the memos (lib/i18n.js); a
+//           lang-only PUT leaves the dashboard and its version alone
+//
+// AUTH:
+//  - Authorization: Bearer <token> from verify-code.js (lib/session.js)
+//
+// DASHBOARD DOC (store.userData key "dashboard"):
+//   identity        realtysass.identity
+//   bridge          realtysass.bridge (buildBridgePayload output)
+//   monthlyHistory  rs.monthly  { "2025-11": { rows, core, disc, meta }, ... }
+//   expenseRows     va.expenses.rows
+//   version         int, bumped on every PUT
+//   updatedAt       ISO timestamp
+//
+// MERGE RULES (PUT):
+//  - identity / bridge / expenseRows replace what is stored
+//  - monthlyHistory merges by month key; a month set to null is removed
+//  - if "version" is sent and is stale → 409 { code:"version_conflict", dashboard }
+//
+
+const { requireSession } = require("./lib/session");
+const { createStore } = require("./lib/store");
+const { LANGS, normalizeLang } = require("./lib/i18n");
+
+const DASHBOARD_KEY = "dashboard";
+const DASHBOARD_FIELDS = ["identity", "bridge", "monthlyHistory", "expenseRows"];
+const MAX_BODY_BYTES = 512 * 1024;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+  "Content-Type": "application/json"
+};
+
+function respond(statusCode, obj) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(obj || {})
+  };
+}
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+function emptyDashboard() {
+  return { identity: null, bridge: null, monthlyHistory: {}, expenseRows: [], version: 0, updatedAt: null };
+}
+
+function mergeDashboard(current, patch) {
+  const next = { ...current };
+  if ("identity" in patch) next.identity = isObj(patch.identity) ? patch.identity : null;
+  if ("bridge" in patch) next.bridge = isObj(patch.bridge) ? patch.bridge : null;
+  if (Array.isArray(patch.expenseRows)) next.expenseRows = patch.expenseRows;
+  if (isObj(patch.monthlyHistory)) {
+    const months = { ...(current.monthlyHistory || {}) };
+    for (const [key, month] of Object.entries(patch.monthlyHistory)) {
+      if (!/^\d{4}-\d{2}$/.test(key)) continue;
+      if (month === null) delete months[key];
+      else if (isObj(month)) months[key] = month;
+    }
+    next.monthlyHistory = months;
+  }
+  next.version = (current.version || 0) + 1;
+  next.updatedAt = new Date().toISOString();
+  return next;
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return respond(200, {});
+  }
+
+  if (event.httpMethod !== "GET" && event.httpMethod !== "PUT") {
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  const auth = await requireSession(event);
+  if (!auth.ok) {
+    return respond(auth.statusCode, { ok: false, code: auth.code, error: auth.error });
+  }
+  const email = auth.session.email;
+
+  let store;
+  try {
+    store = createStore(event);
+  } catch (err) {
+    console.error("Store init error:", err);
+    return respond(500, { error: "Storage not configured" });
+  }
+
+  let profile, current;
+  try {
+    profile = await store.profiles.get(email);
+    current = (await store.userData.get(email, DASHBOARD_KEY)) || emptyDashboard();
+  } catch (err) {
+    console.error("Profile lookup error:", err);
+    return respond(500, { error: "Lookup failed." });
+  }
+
+  if (event.httpMethod === "GET") {
+    return respond(200, { ok: true, profile: profile || { email }, dashboard: current });
+  }
+
+  // PUT
+  if ((event.body || "").length > MAX_BODY_BYTES) {
+    return respond(413, { error: "Payload too large" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+  if (!isObj(body)) {
+    return respond(400, { error: "Body must be a JSON object" });
+  }
+
+  if ("lang" in body) {
+    const lang = normalizeLang(body.lang);
+    if (!lang) {
+      return respond(400, { error: `lang must be one of: ${Object.keys(LANGS).join(", ")}` });
+    }
+    try {
+      profile = await store.profiles.put(email, { lang });
+    } catch (err) {
+      console.error("Profile save error:", err);
+      return respond(500, { error: "Save failed." });
+    }
+    if (!DASHBOARD_FIELDS.some((f) => f in body)) {
+      return respond(200, { ok: true, profile, dashboard: current });
+    }
+  }
+
+  if (body.version != null && Number(body.version) !== (current.version || 0)) {
+    return respond(409, {
+      ok: false,
+      code: "version_conflict",
+      error: "Dashboard changed on another device. Reload and try again.",
+      dashboard: current
+    });
+  }
+
+  const next = mergeDashboard(current, body);
+
+  try {
+    await store.userData.put(email, DASHBOARD_KEY, next);
+  } catch (err) {
+    console.error("Profile save error:", err);
+    return respond(500, { error: "Save failed." });
+  }
+
+  return respond(200, { ok: true, profile: profile || { email }, dashboard: next });
+};
@@ -0,0 +1,73 @@
+// netlify/functions/refresh-session.js
+//
+// PURPOSE:
+//  - Accept POST { refreshToken }
+//  - Verify the refresh token issued by verify-code.js
+//  - Return { ok:true, session:{ token, refreshToken, expiresAt, ... } }
+//  - The refresh token keeps its original expiry (lib/session.js): a
+//    session cannot be stretched past REFRESH_TTL from verification
+//
+// REQUIREMENTS:
+//  - SESSION_SECRET (see lib/session.js)
+//
+
+const { refreshSession } = require("./lib/session");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Content-Type": "application/json"
+};
+
+function respond(statusCode, obj) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(obj || {})
+  };
+}
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return respond(200, {});
+  }
+
+  if (event.httpMethod !== "POST") {
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+  if (!isObj(body)) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+
+  const refreshToken = String(body.refreshToken || "").trim();
+  if (!refreshToken) {
+    return respond(400, { error: "refreshToken required." });
+  }
+
+  const res = await refreshSession(refreshToken);
+  if (!res.ok) {
+    return respond(res.statusCode, { ok: false, code: res.code, error: res.error });
+  }
+
+  const { session } = res;
+  return respond(200, {
+    ok: true,
+    profile: { email: session.email, rank: session.rank, lastName: session.lastName },
+    session: {
+      token: res.token,
+      refreshToken: res.refreshToken,
+      expiresAt: res.expiresAt,
+      refreshExpiresAt: res.refreshExpiresAt
+    }
+  });
+};
@@ -0,0 +1,99 @@
+// netlify/functions/rent-vs-buy.js
+//
+// PURPOSE:
+// - The 10-year rent-vs-buy projection (lib/rentvsbuy.js) for the Analyze
+//   chart; summarize.js puts the same result in the memo facts
+// - Accept POST:
+//     { snapshot?, rentStart?, years?, appreciationPct?, rentGrowthPct?,
+//       investReturnPct?, sellingCostPct?, closingCostPct?, maintenancePct?,
+//       taxInsGrowthPct?, lang? }
+//   snapshot is realtysass.bridge (price, dpAmt, apr, termYears, tihoa, pmi;
+//   a VA snapshot is priced by lib/va.js); without it the dashboard saved
+//   through profile.js is used; lang words the year labels (lib/i18n.js
+//   resolveLang)
+// - Return:
+//     { ok, lang, assumptions, labels, buySeries, rentSeries, equityByYear,
+//       cumRentByYear, homeValueByYear, breakevenMonth, breakevenYear,
+//       breakevenYears, final:{ buyNetCost, rentNetCost, advantage, equity } }
+//
+// AUTH:
+// - Authorization: Bearer <token> from verify-code.js (lib/session.js)
+
+const { requireSession } = require("./lib/session");
+const { createStore } = require("./lib/store");
+const { storedBridge } = require("./lib/fiduciary");
+const { withVaLoan } = require("./lib/va");
+const { validateOptions, rentVsBuy } = require("./lib/rentvsbuy");
+const { resolveLang } = require("./lib/i18n");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Content-Type": "application/json"
+};
+
+const MAX_BODY_BYTES = 256 * 1024;
+
+function respond(statusCode, obj) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(obj || {})
+  };
+}
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return respond(200, {});
+  }
+
+  if (event.httpMethod !== "POST") {
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  const auth = await requireSession(event);
+  if (!auth.ok) {
+    return respond(auth.statusCode, { ok: false, code: auth.code, error: auth.error });
+  }
+
+  if ((event.body || "").length > MAX_BODY_BYTES) {
+    return respond(413, { error: "Payload too large" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (_) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+  if (!isObj(body)) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+
+  const { snapshot: posted, lang: requested, ...options } = body;
+  const errors = validateOptions(options);
+  if (errors.length) {
+    return respond(400, { error: "Invalid options", errors });
+  }
+
+  let store = null;
+  try { store = createStore(event); } catch (err) { console.error("Store init error:", err); }
+
+  let snapshot = isObj(posted) ? posted : null;
+  if (!snapshot) {
+    if (!store) return respond(500, { error: "Lookup failed." });
+    try {
+      const dashboard = await store.userData.get(auth.session.email, "dashboard");
+      snapshot = storedBridge(dashboard) || {};
+    } catch (err) {
+      console.error("Dashboard lookup error:", err);
+      return respond(500, { error: "Lookup failed." });
+    }
+  }
+
+  const lang = await resolveLang(event, { requested, email: auth.session.email, store });
+  return respond(200, { ok: true, lang, ...rentVsBuy(withVaLoan(snapshot).snapshot, options, lang) });
+};
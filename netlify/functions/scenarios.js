@@ -0,0 +1,98 @@
+// netlify/functions/scenarios.js
+//
+// PURPOSE:
+// - Side-by-side what-if for home purchases (lib/scenarios.js): summarize.js
+//   stresses one price/down payment; this compares several
+// - Accept POST:
+//     { base?, scenarios:[{ name?, price?, dpAmt? | dpPct?, apr? | creditScore?,
+//                           termYears?, tihoa? | taxes?+insurance?+hoa?,
+//                           pmi? | pmiRate?, incomeChange?, incomeChangePct? }] }
+//   base is the realtysass.bridge snapshot (income, expenses, savings,
+//   housing, price, dpAmt, apr, ...); without it the dashboard saved through
+//   profile.js is used. Up to 8 scenarios.
+// - Return:
+//     { ok, baseline, scenarios:[{ index, name, inputs, pAndI, housing,
+//       housingShare, dti, freeCashFlow, runwayMonths, grade, stress,
+//       withinLane, va, issues, bestFit }], bestFit }
+//   ratios are fractions (0.31 = 31%), money is monthly $; a VA purchase
+//   (base.va) is priced per scenario by lib/va.js and va carries
+//   { fundingFeePct, fundingFee, residual, residualGuideline, residualPasses }
+//   (null otherwise)
+//
+// AUTH:
+// - Authorization: Bearer <token> from verify-code.js (lib/session.js)
+
+const { requireSession } = require("./lib/session");
+const { createStore } = require("./lib/store");
+const { hasFinancials, storedBridge } = require("./lib/fiduciary");
+const { validateScenarios, runScenarios } = require("./lib/scenarios");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Content-Type": "application/json"
+};
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function respond(statusCode, obj) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(obj || {})
+  };
+}
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return respond(200, {});
+  }
+
+  if (event.httpMethod !== "POST") {
+    return respond(405, { error: "Method not allowed" });
+  }
+
+  const auth = await requireSession(event);
+  if (!auth.ok) {
+    return respond(auth.statusCode, { ok: false, code: auth.code, error: auth.error });
+  }
+
+  if ((event.body || "").length > MAX_BODY_BYTES) {
+    return respond(413, { error: "Payload too large" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (_) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+  if (!isObj(body)) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
+
+  const errors = validateScenarios(body.scenarios);
+  if (errors.length) {
+    return respond(400, { error: "Invalid scenarios", errors });
+  }
+
+  let base = isObj(body.base) ? body.base : null;
+  if (!base) {
+    try {
+      const store = createStore(event);
+      const dashboard = await store.userData.get(auth.session.email, "dashboard");
+      base = storedBridge(dashboard);
+    } catch (err) {
+      console.error("Dashboard lookup error:", err);
+      return respond(500, { error: "Lookup failed." });
+    }
+  }
+  if (!hasFinancials(base)) {
+    return respond(400, { error: "base snapshot with monthly income required (or save the Financial Dashboard first)" });
+  }
+
+  return respond(200, { ok: true, ...runScenarios(base, body.scenarios) });
+};
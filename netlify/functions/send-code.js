@@ -1,16 +1,36 @@
 // netlify/functions/send-code.js
 //
 // PURPOSE:
-// - Accept POST { email, rank, lastName, phone }
-// - Generate 6-digit code
+// - Accept POST { email, rank, lastName, phone, channel, lang }   channel: "email" (default) | "sms"
+//     lang: "en" | "es" (else Accept-Language); a chosen lang rides along in the
+//     code row's context so verify-code.js saves it as the profile preference
+// - Throttle per email + per client IP; enforce resend cooldown
+// - Generate 6-digit code with a real expiry (CODE_TTL_MINUTES)
 // - Hash code (never store raw code)
-// - Insert row into Supabase (email_codes table)
-// - Send code via Resend email (HTML + text)
-// - Return {ok:true}
+// - Invalidate older codes for this email, store the new row (lib/store.js:
+//   Supabase email_codes, Netlify Blobs or in-memory)
+// - Email also carries a signed single-use magic link → /verify#ml=<token>
+//   (same row, same expiry/lockout; needs SESSION_SECRET, else code only)
+// - Deliver code over the chosen channel (lib/delivery.js): Resend email or SMS provider
+// - Return {ok:true, expiresAt, resendAfter} or {ok:false, code:"cooldown"|"throttled", ...}
 
 const crypto = require("crypto");
-const { Resend } = require("resend");
-const { createClient } = require("@supabase/supabase-js");
+const { createStore } = require("./lib/store");
+const { isConfigured: sessionConfigured, signMagicLink } = require("./lib/session");
+const {
+  CONFIG,
+  makeCode,
+  hashCode,
+  expiresAtFrom,
+  clientIp,
+  checkThrottle,
+  recordEvent,
+  otpError,
+} = require("./lib/otp");
+const { CHANNELS, deliver, normalizePhone, smsProvider } = require("./lib/delivery");
+const { normalizeLang, resolveLang } = require("./lib/i18n");
+
+const SITE_URL = (process.env.SITE_URL || process.env.URL || "https://theorozcorealty.netlify.app").replace(/\/+$/, "");
 
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
@@ -19,6 +39,42 @@ const CORS_HEADERS = {
   "Content-Type": "application/json",
 };
 
+// Email / SMS copy per language
+const COPY = {
+  en: {
+    subject: "Your RealtySaSS Verification Code",
+    hi: "Hi",
+    codeIs: "Your verification code is:",
+    expiresText: (m) => `It expires in ${m} minutes. Do not share this code. It is for you only.`,
+    oneClickText: "Or verify in one click:",
+    welcome: "Welcome to The Orozco Realty",
+    codeFor: "Your unique verification code for <strong>OrozcoRealty</strong> is:",
+    button: "Verify in One Click",
+    buttonNote: "The button works once and expires with the code.",
+    expiresHtml: (m) => `This code expires in ${m} minutes. Please safeguard it and do not share it with anyone.`,
+    signOff: "Sincerely Yours,",
+    rights: "All rights reserved.",
+    sms: (code, m) => `OrozcoRealty code: ${code}. Expires in ${m} min. Do not share it.`,
+  },
+  es: {
+    subject: "Su código de verificación de RealtySaSS",
+    hi: "Hola",
+    codeIs: "Su código de verificación es:",
+    expiresText: (m) => `Vence en ${m} minutos. No comparta este código. Es solo para usted.`,
+    oneClickText: "O verifique con un clic:",
+    welcome: "Bienvenido a The Orozco Realty",
+    codeFor: "Su código de verificación único para <strong>OrozcoRealty</strong> es:",
+    button: "Verificar con un clic",
+    buttonNote: "El botón funciona una sola vez y vence junto con el código.",
+    expiresHtml: (m) => `Este código vence en ${m} minutos. Guárdelo bien y no lo comparta con nadie.`,
+    signOff: "Atentamente,",
+    rights: "Todos los derechos reservados.",
+    sms: (code, m) => `Código de OrozcoRealty: ${code}. Vence en ${m} min. No lo comparta.`,
+  },
+};
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
 function respond(statusCode, payloadObj) {
   return {
     statusCode,
@@ -27,15 +83,6 @@ function respond(statusCode, payloadObj) {
   };
 }
 
-function makeCode() {
-  const n = crypto.randomInt(0, 1000000);
-  return n.toString().padStart(6, "0");
-}
-
-function hashCode(code) {
-  return crypto.createHash("sha256").update(code).digest("hex");
-}
-
 exports.handler = async function (event, context) {
   if (event.httpMethod === "OPTIONS") return respond(200, {});
   if (event.httpMethod !== "POST")
@@ -47,34 +94,80 @@ exports.handler = async function (event, context) {
   } catch (err) {
     return respond(400, { error: "Invalid JSON body" });
   }
+  if (!isObj(body)) return respond(400, { error: "Invalid JSON body" });
 
-  const email = (body.email || "").trim().toLowerCase();
-  const rank = body.rank || "";
-  const lastName = body.lastName || "";
-  const phone = body.phone || "";
+  const email = String(body.email || "").trim().toLowerCase();
+  const rank = String(body.rank || "");
+  const lastName = String(body.lastName || "");
+  const phone = String(body.phone || "");
+  const channel = String(body.channel || "email").toLowerCase();
+  const chosenLang = normalizeLang(body.lang);
+  const lang = await resolveLang(event, { requested: chosenLang });
+  const copy = COPY[lang] || COPY.en;
 
   if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
     return respond(400, { error: "Valid email required" });
   }
 
-  const code = makeCode();
-  const code_hash = hashCode(code);
-  const now = new Date().toISOString();
-  const expiresAt = new Date("2075-01-01T00:00:00Z").toISOString(); // ✨ Fixed: no expiration
+  // Email stays the account key; SMS is just another way to deliver the code
+  if (!CHANNELS.includes(channel)) {
+    return respond(400, { error: `channel must be one of: ${CHANNELS.join(", ")}` });
+  }
+  const smsTo = channel === "sms" ? normalizePhone(phone) : "";
+  if (channel === "sms" && !smsTo) {
+    return respond(400, { error: "Valid phone number required for SMS" });
+  }
+  // Before a code is made: a code nobody can receive would still burn the
+  // cooldown and the throttle
+  if (channel === "sms" && !smsProvider()) {
+    return respond(500, { error: "SMS not configured" });
+  }
 
-  const SUPABASE_URL = process.env.SUPABASE_URL;
-  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+  let store;
+  try {
+    store = createStore(event);
+  } catch (err) {
+    console.error("Store init error:", err);
+    return respond(500, { error: "Storage not configured" });
+  }
 
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-    return respond(500, { error: "Supabase env not configured" });
+  // Throttle per email + per IP, then per-email resend cooldown
+  const ip = clientIp(event);
+  const throttled = await checkThrottle(store, "send", { email, ip });
+  if (throttled) {
+    const e = otpError("throttled", { retryAfter: throttled.retryAfter });
+    return respond(e.statusCode, e.body);
   }
 
-  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, {
-    auth: { persistSession: false },
-  });
+  let last;
+  try {
+    last = await store.codes.latest(email);
+  } catch (err) {
+    console.error("Cooldown lookup error:", err);
+    return respond(500, { error: "Lookup failed." });
+  }
+
+  const nowMs = Date.now();
+  const lastMs = last ? new Date(last.created_at).getTime() : 0;
+  const waitMs = lastMs + CONFIG.resendCooldownSeconds * 1000 - nowMs;
+  if (waitMs > 0) {
+    const e = otpError("cooldown", { retryAfter: Math.ceil(waitMs / 1000) });
+    return respond(e.statusCode, e.body);
+  }
 
-  const { error: insertErr } = await supabase.from("email_codes").insert([
-    {
+  await recordEvent(store, "send", { email, ip });
+
+  const code = makeCode();
+  const code_hash = hashCode(code);
+  const now = new Date(nowMs).toISOString();
+  const expiresAt = expiresAtFrom(nowMs);
+
+  // Magic link nonce: only its hash is stored, like the code
+  const linkNonce = sessionConfigured() ? crypto.randomBytes(16).toString("base64url") : "";
+
+  // Only the newest code is ever valid: replace() drops older ones
+  try {
+    await store.codes.replace(email, {
       email,
       code_hash,
       attempts: 0,
@@ -83,34 +176,32 @@ exports.handler = async function (event, context) {
       rank,
       last_name: lastName,
       phone,
-      context: { rank, lastName, phone },
-    },
-  ]);
-
-  if (insertErr) {
-    console.error("Supabase insert error:", insertErr);
+      channel,
+      link_hash: linkNonce ? hashCode(linkNonce) : null,
+      context: { rank, lastName, phone, ...(chosenLang ? { lang: chosenLang } : {}) },
+    });
+  } catch (err) {
+    console.error("Code store error:", err);
     return respond(500, { error: "DB insert failed." });
   }
 
-  const resendKey = process.env.RESEND_API_KEY;
-  const fromAddress =
-    process.env.EMAIL_FROM ||
-    process.env.FROM_EMAIL ||
-    "RealtySaSS <noreply@example.com>";
-
-  const resend = new Resend(resendKey);
+  let magicUrl = "";
+  if (linkNonce && channel === "email") {
+    const linkToken = await signMagicLink({ email, rid: now, nonce: linkNonce, expiresAt });
+    magicUrl = `${SITE_URL}/verify#ml=${linkToken}`;
+  }
 
-  const subject = "Your RealtySaSS Verification Code";
-  const textBody = `Hi ${rank ? rank + " " : ""}${lastName || ""},
+  const subject = copy.subject;
+  const textBody = `${copy.hi} ${rank ? rank + " " : ""}${lastName || ""},
 
-Your verification code is: ${code}
+${copy.codeIs} ${code}
 
-Do not share this code. It is for you only.
-`;
+${copy.expiresText(CONFIG.codeTtlMinutes)}
+${magicUrl ? `\n${copy.oneClickText} ${magicUrl}\n` : ""}`;
 
   const htmlEmailBody = `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${lang}">
     <head>
       <meta charset="UTF-8" />
       <style>
@@ -157,6 +248,16 @@ Do not share this code. It is for you only.
           width: fit-content;
           box-shadow: 0 3px 6px rgba(0,0,0,0.08);
         }
+        .magic-btn {
+          display: inline-block;
+          margin: 4px auto 8px;
+          background: #6a88ff;
+          color: #fff !important;
+          text-decoration: none;
+          font-weight: bold;
+          border-radius: 8px;
+          padding: 12px 20px;
+        }
         .footer {
           font-size: 12px;
           color: #777;
@@ -179,41 +280,49 @@ Do not share this code. It is for you only.
     <body>
       <div class="container">
         <img src="https://cdn.prod.website-files.com/68cecb820ec3dbdca3ef9099/690045801fe6ec061af6b131_1394a00d76ce9dd861ade690dfb1a058_TOR-p-2600.png" alt="OrozcoRealty Logo" class="logo" />
-        <h1>Welcome to The Orozco Realty</h1>
-        <p><strong>Hi ${rank} ${lastName},</strong></p>
-        <p>Your unique verification code for <strong>OrozcoRealty</strong> is:</p>
+        <h1>${copy.welcome}</h1>
+        <p><strong>${copy.hi} ${rank} ${lastName},</strong></p>
+        <p>${copy.codeFor}</p>
         <div class="code-box">${code}</div>
-        <p>Please safeguard this code and do not share it with anyone.</p>
+        ${magicUrl ? `<p><a href="${magicUrl}" class="magic-btn">${copy.button}</a></p>
+        <p style="font-size:12px;color:#777;">${copy.buttonNote}</p>` : ""}
+        <p>${copy.expiresHtml(CONFIG.codeTtlMinutes)}</p>
         <div class="signature">
-          Sincerely Yours,<br />
+          ${copy.signOff}<br />
           <strong>Elena</strong><br />
           <em>"A.I. Concierge"</em><br />
           <img src="https://cdn.prod.website-files.com/68cecb820ec3dbdca3ef9099/68db342a77ed69fc1044ebee_5aaaff2bff71a700da3fa14548ad049f_Landing%20Footer%20Background.png" alt="Elena Signature Image" />
         </div>
         <div class="footer">
           SaSS™ — Naughty Realty, Serious Returns<br />
-          © 2025 The Orozco Realty. All rights reserved.
+          © 2025 The Orozco Realty. ${copy.rights}
         </div>
       </div>
     </body>
     </html>
   `;
 
+  const smsBody = copy.sms(code, CONFIG.codeTtlMinutes);
+
   try {
-    await resend.emails.send({
-      from: fromAddress,
-      to: [email],
+    await deliver(channel, channel === "sms" ? smsTo : email, {
       subject,
       text: textBody,
       html: htmlEmailBody,
+      sms: smsBody,
     });
-  } catch (mailErr) {
-    console.error("Resend error:", mailErr);
-    return respond(500, { error: "Email send failed" });
+  } catch (sendErr) {
+    console.error(`Delivery error (${channel}):`, sendErr);
+    return respond(500, { error: channel === "sms" ? "SMS send failed" : "Email send failed" });
   }
 
   return respond(200, {
     ok: true,
-    message: "Code created, stored, and emailed.",
+    message: channel === "sms" ? "Code created, stored, and texted." : "Code created, stored, and emailed.",
+    channel,
+    lang,
+    sentTo: channel === "sms" ? smsTo.replace(/\d(?=\d{4})/g, "•") : email,
+    expiresAt,
+    resendAfter: CONFIG.resendCooldownSeconds,
   });
 };
@@ -1,5 +1,8 @@
 // netlify/functions/stage.js
 // CommonJS, Node 18+ (native fetch)
+// POST requires a verified session (Authorization: Bearer <token>); GET health stays public.
+
+const { requireSession } = require("./lib/session");
 
 // ——— CORS ——————————————————————————————————————————
 const ALLOW_ORIGINS = [
@@ -83,6 +86,12 @@ module.exports.handler = async (event) => {
       return { statusCode: 405, headers, body: JSON.stringify({ error: "Method Not Allowed" }) };
     }
 
+    // Verified callers only
+    const auth = await requireSession(event);
+    if (!auth.ok) {
+      return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error, code: auth.code }) };
+    }
+
     // Parse JSON body
     let payload = {};
     try {
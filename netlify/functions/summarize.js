@@ -1,6 +1,42 @@
 // netlify/functions/summarize.js
 // v1.3 — CEO-grade, EXACTLY FIVE PARAGRAPHS with Rank + Last Name greeting
 // Purpose → Concrete Health/Grade Targets → Biggest Issues → Improvement Playbook → Closing
+// Requires a verified session (Authorization: Bearer <token> from verify-code).
+// Language: POST { ..., lang:"es" } (else the saved profile preference, else
+// Accept-Language) → Spanish memo, es-US number formatting, Spanish fallback.
+// Mode: POST { ..., mode:"deterministic" } skips the model. The deterministic
+// engine (lib/memo.js, data/memo-templates.json) also writes the memo when no
+// model is configured, the model call fails, or it returns < 5 paragraphs.
+// The response says which path ran:
+//   source: "model" | "deterministic"
+//   fallbackReason: "requested" | "no_model" | "model_error" | "short_reply"
+//   (deterministic only; memoEngine: { band, issues, templateVersion })
+// History: every memo is saved for the verified user (lib/memos.js; list and
+// compare with memos.js) → history: { memoId, sincePrevious } where
+// sincePrevious is the comparison with the last memo (null on the first).
+// VA: a snapshot with va:{...} (lib/va.js) is priced as a VA loan — funding
+// fee by use and down payment (waived with a disability rating), financed or
+// paid at closing, no PMI — and gets the residual-income test; kpis.va and
+// facts.va carry the result (kpis.va is null for other loans).
+// Rent vs. buy: priced snapshots get the 10-year projection the Analyze chart
+// draws (lib/rentvsbuy.js; POST { ..., rentVsBuy:{ rentStart, appreciationPct,
+// ... } } to change the assumptions) → facts.rentVsBuy and rentVsBuy.
+// Grade: lib/grading.js, the same module the pages load → gradeDetail:
+// { score, base, adjustments } and facts.gradeReasons, so the memo can say why.
+
+const { requireSession } = require("./lib/session");
+const { computeKPIs } = require("./lib/fiduciary");
+const { grade } = require("./lib/grading");
+const { withVaLoan } = require("./lib/va");
+const { validateOptions: validateRentVsBuy, rentVsBuy } = require("./lib/rentvsbuy");
+const { createLLM } = require("./lib/llm");
+const { createStore } = require("./lib/store");
+const { deterministicMemo } = require("./lib/memo");
+const { memoRecord, latestMemo, saveMemo, compareMemos } = require("./lib/memos");
+const { resolveLang, formatters, languageInstruction, t } = require("./lib/i18n");
+
+// SUMMARIZE_* / LLM_* env: model, temperature, max tokens, timeout, retries
+const llm = createLLM("summarize");
 
 const ALLOW_ORIGINS = [
   "https://new-real-estate-purchase.webflow.io",
@@ -21,29 +57,12 @@ function corsHeaders(origin) {
   };
 }
 
-/* ===================== Helpers ===================== */
-const USD = (n) =>
-  (Number(n) || 0).toLocaleString("en-US", {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0
-  });
-const PCT0 = (x) => `${Math.round((Number(x) || 0) * 100)}%`;
-const PCT0dir = (x) => `${Math.round(Number(x) || 0)}%`;
+const MODES = ["auto", "deterministic"];
 
-function pmti(P, r, n) { if (r === 0) return P / n; const x = Math.pow(1 + r, n); return P * ((r * x) / (x - 1)); }
-function scoreAPR(s) {
-  s = Number(s) || 720;
-  if (s >= 780) return 6.50;
-  if (s >= 760) return 6.75;
-  if (s >= 720) return 7.00;
-  if (s >= 700) return 7.20;
-  if (s >= 680) return 7.35;
-  if (s >= 660) return 7.85;
-  if (s >= 640) return 8.25;
-  if (s >= 620) return 9.25;
-  return 9.95;
-}
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+/* ===================== Helpers ===================== */
+// KPI + grade math lives in lib/fiduciary.js (shared with ask-elena.js)
 
 function paygradeToRank(paygradeRaw, branchRaw) {
   const p = String(paygradeRaw || "").toUpperCase().replace(/\s+/g, "");
@@ -65,86 +84,6 @@ function paygradeToRank(paygradeRaw, branchRaw) {
   return GEN[p] || p;
 }
 
-function computeKPIs(s) {
-  const income = +s.income || 0;
-  const expenses = +s.expenses || 0;
-  const savings = +s.savings || 0;
-  const housing = +s.housing || 0;
-
-  const totalShare = income > 0 ? (expenses + savings + housing) / income : 1;
-  const housingShare = income > 0 ? housing / income : 0;
-  const dti = income > 0 ? (expenses + housing) / income : 1;
-  const freePost = income - expenses - savings - housing;
-
-  const coverage = expenses > 0 ? income / expenses : income > 0 ? Infinity : 0;
-  const runwayMonths = expenses > 0 ? savings / expenses : 0;
-
-  // Stress: +200bps APR & +5% expenses using price/dp when available
-  const stressApr =
-    (Number(s.apr) || scoreAPR(Number(s.creditScore || 720))) + 2.0;
-  const price = Number(s.price) || 0;
-  const dpAmt = Number(s.dpAmt) || 0;
-  const loan = Math.max(0, price - dpAmt);
-  const mRate = stressApr / 100 / 12;
-  const termN = Math.max(1, (Number(s.termYears) || 30) * 12);
-  const pAndI_stress = loan > 0 ? pmti(loan, mRate, termN) : 0;
-  const housing_stress =
-    pAndI_stress + Number(s.tihoa || 0) + Number(s.pmi || 0);
-  const expenses_stress = expenses * 1.05;
-
-  const dti_stress =
-    income > 0 ? (expenses_stress + housing_stress) / income : 1;
-  const freePost_stress =
-    income - expenses_stress - savings - housing_stress;
-
-  const targets = {
-    commitmentMax: 0.70,
-    housingLaneMin: 0.28,
-    housingLaneMax: 0.33,
-    runwayMinMonths: 3,
-    coverageMin: 1.3
-  };
-
-  return {
-    income, expenses, savings, housing, freePost,
-    totalShare, housingShare, dti, coverage, runwayMonths,
-    stress: { dti: dti_stress, freePost: freePost_stress },
-    targets
-  };
-}
-
-function gradeLetter(k) {
-  let g = 92;
-  if (k.totalShare >= 0.85) g -= 30;
-  else if (k.totalShare >= 0.70) g -= 15;
-  else g += 4;
-
-  if (k.housingShare > 0.40) g -= 18;
-  else if (k.housingShare > 0.33) g -= 8;
-  else g += 4;
-
-  if (k.freePost < 0) g -= 30;
-  else if (k.income > 0 && k.freePost / k.income < 0.10) g -= 10;
-  else if (k.income > 0 && k.freePost / k.income >= 0.20) g += 4;
-
-  const sr = k.income > 0 ? k.savings / k.income : 0;
-  if (sr < 0.10) g -= 8;
-  else if (sr >= 0.20) g += 4;
-
-  g = Math.max(0, Math.min(100, g));
-  return g >= 98 ? "A+"
-       : g >= 92 ? "A"
-       : g >= 88 ? "A-"
-       : g >= 82 ? "B+"
-       : g >= 76 ? "B"
-       : g >= 72 ? "B-"
-       : g >= 66 ? "C+"
-       : g >= 60 ? "C"
-       : g >= 55 ? "C-"
-       : g >= 50 ? "D+"
-       : g >= 45 ? "D" : "F";
-}
-
 function lastNameOf(name) {
   const s = String(name || "").trim();
   if (!s) return "";
@@ -173,28 +112,6 @@ function toFiveParagraphHTML(text) {
   return parts.map((p) => `<p>${p}</p>`).join("");
 }
 
-/** Server-side synthesis if model under-delivers */
-function synthesizeFromFacts(f, k) {
-  const greet = (f.client.rankPretty ? f.client.rankPretty.split(" (")[0] : "Service Member") + " " + (f.client.lastName || "Client");
-
-  const incomeNum = k.income || 0;
-  const laneMin = incomeNum * 0.28;
-  const laneMax = incomeNum * 0.33;
-  const autoSave = Math.max(50, Math.round(incomeNum * 0.10));
-  const discShift = Math.round(incomeNum * 0.10);
-
-  const p1 = `<p><strong>${greet}</strong>, thank you for your service. This executive memo provides a clear, board-ready readout of your financial health, key risks, and concrete steps to correct them. With income <strong>${f.figures.income}</strong>, expenses <strong>${f.figures.expenses}</strong>, programmed savings <strong>${f.figures.savings}</strong>, housing <strong>${f.figures.housing}</strong> (housing share ${f.ratios.housingShare}), DTI ${f.ratios.dti}, coverage <strong>${f.ratios.coverage}</strong>, and runway <strong>${f.ratios.runway}</strong>, your grade currently reads <strong>${f.grade}</strong>.</p>`;
-
-  const p2 = `<p><strong>Financial Health—Dollar Targets.</strong> Keep housing in the <strong>28–33%</strong> lane, which for your income equals <strong>${USD(laneMin)}–${USD(laneMax)}</strong> per month (P&I + taxes/insurance/HOA/PMI). Maintain positive disposable income with at least <strong>10%</strong> of income left after all obligations. Automate a payday transfer of <strong>${USD(autoSave)}</strong> toward a <strong>3–6 month</strong> reserve; pause contributions only once you clear 3 months of expenses.</p>`;
-
-  const p3 = `<p><strong>Biggest Issues.</strong> Elevated DTI and short runway constrain approval options and raise risk. Credit-tier APR penalties can shift payment by <strong>$75–$200+</strong>/mo. Discretionary outflows above <strong>10–12%</strong> of income slow the reserve build and suppress grade. Any purchase must be right-sized into the housing lane above.</p>`;
-
-  const p4 = `<p><strong>Improvement Playbook.</strong> 1) Pull free credit reports at <a href="https://www.annualcreditreport.com" target="_blank" rel="noopener">annualcreditreport.com</a>; dispute errors; drive utilization under <strong>30%</strong> (ideal <strong>&lt;10%</strong>) using a lowest-APR ladder. 2) Reallocate ~<strong>${USD(discShift)}</strong>/mo from discretionary to an autopay reserve until you reach 3–6 months. 3) Keep total commitments ≤ <strong>70%</strong> of income; if above, sequence paydowns on high-payment, short-term debts for DTI relief. 4) When you offer, pair a price sized to <strong>${USD(laneMin)}–${USD(laneMax)}</strong> with seller credits; evaluate points vs. lender credits to optimize cash vs. rate. Guidance: <a href="https://www.consumerfinance.gov/" target="_blank" rel="noopener">cfpb.gov</a>.</p>`;
-
-  const p5 = `<p><strong>Closing & Next Steps.</strong> We’ll convert these targets into a pre-approval brief, then run property scenarios inside the lane and sequence COE → underwriting → lock strategy → curated inventory. We’ll refresh this memo as your live numbers improve so you purchase with confidence.</p>`;
-  return [p1,p2,p3,p4,p5].join("");
-}
-
 /* ===================== Handler ===================== */
 module.exports.handler = async (event) => {
   const origin = event.headers?.origin || "";
@@ -203,18 +120,34 @@ module.exports.handler = async (event) => {
   if (event.httpMethod === "OPTIONS") return { statusCode: 204, headers, body: "" };
   if (event.httpMethod !== "POST") return { statusCode: 405, headers, body: JSON.stringify({ error: "Method Not Allowed" }) };
 
+  const auth = await requireSession(event);
+  if (!auth.ok) return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error, code: auth.code }) };
+
   try {
     let payload = {};
     try { payload = JSON.parse(event.body || "{}"); }
     catch (_) { return { statusCode: 400, headers, body: JSON.stringify({ error: "Invalid JSON body" }) }; }
+    if (!isObj(payload)) return { statusCode: 400, headers, body: JSON.stringify({ error: "Invalid JSON body" }) };
 
     const { snapshot, buckets, styleGuide: styleGuideFromClient, kind } = payload;
-    if (!snapshot || typeof snapshot !== "object") {
+    if (!isObj(snapshot)) {
       return { statusCode: 400, headers, body: JSON.stringify({ error: "Missing or invalid snapshot" }) };
     }
+    const mode = String(payload.mode || "auto").toLowerCase();
+    if (!MODES.includes(mode)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: `mode must be one of: ${MODES.join(", ")}` }) };
+    }
+    const rvbOptions = payload.rentVsBuy && typeof payload.rentVsBuy === "object" ? payload.rentVsBuy : {};
+    const rvbErrors = validateRentVsBuy(rvbOptions);
+    if (rvbErrors.length) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: "Invalid rentVsBuy options", errors: rvbErrors }) };
+    }
 
-    const key = process.env.OPENAI_API_KEY;
-    if (!key) return { statusCode: 500, headers, body: JSON.stringify({ error: "OPENAI_API_KEY not configured" }) };
+    /* -------- Language -------- */
+    let store = null;
+    try { store = createStore(event); } catch (err) { console.error("Store init error:", err); }
+    const lang = await resolveLang(event, { requested: payload.lang, email: auth.session.email, store });
+    const { USD, PCT0, PCT0dir, fixed } = formatters(lang);
 
     /* -------- Identity -------- */
     const branch =
@@ -225,11 +158,15 @@ module.exports.handler = async (event) => {
     const clientName =
       (snapshot?.profile?.name || snapshot?.userName || "Client").toString();
     const clientEmail =
-      (snapshot?.profile?.email || snapshot?.userEmail || "").toString();
+      (auth.session.email || snapshot?.profile?.email || snapshot?.userEmail || "").toString();
 
     /* -------- KPIs & grade -------- */
-    const k = computeKPIs(snapshot);
-    const letter = gradeLetter(k);
+    const { snapshot: pricedSnapshot, va } = withVaLoan(snapshot);
+    const k = { ...computeKPIs(pricedSnapshot), va };
+    const gradeDetail = grade(k, lang);
+    const letter = gradeDetail.letter;
+    const priced = Number(snapshot.price) > 0;
+    const rvb = priced ? rentVsBuy(pricedSnapshot, rvbOptions, lang) : null;
 
     /* -------- Facts -------- */
     const facts = {
@@ -240,26 +177,61 @@ module.exports.handler = async (event) => {
         branch, paygrade, rankPretty
       },
       grade: letter,
+      gradeReasons: gradeDetail.adjustments.map((a) => a.reason),
       figures: {
         income: USD(k.income), expenses: USD(k.expenses),
-        savings: USD(k.savings), housing: USD(k.housing),
-        freeCashFlow: USD(k.freePost)
+        savings: USD(k.savings), savingsOnHand: USD(k.savingsBalance),
+        housing: USD(k.housing), freeCashFlow: USD(k.freePost)
       },
       ratios: {
         commitmentShare: PCT0(k.totalShare),
         housingShare: PCT0(k.housingShare),
         dti: PCT0(k.dti),
-        coverage: k.coverage === Infinity ? "∞" : (k.coverage || 0).toFixed(2) + "×",
-        runway: (k.runwayMonths || 0).toFixed(2) + " months"
+        coverage: k.coverage === Infinity ? "∞" : fixed(k.coverage, 2) + "×",
+        runway: fixed(k.runwayMonths, 2) + (lang === "es" ? " meses" : " months")
       },
       stress: { dti: PCT0(k.stress.dti), freeCashFlow: USD(k.stress.freePost) },
       targets: {
         commitmentShareMax: PCT0dir(k.targets.commitmentMax * 100),
         housingLane: `${PCT0dir(k.targets.housingLaneMin * 100)}–${PCT0dir(k.targets.housingLaneMax * 100)}`,
-        runwayMin: `${k.targets.runwayMinMonths}–6 months`,
+        runwayMin: `${k.targets.runwayMinMonths}–6 ${lang === "es" ? "meses" : "months"}`,
         coverageMin: "≥1.3×"
       },
-      credit: { score: Number(snapshot?.creditScore || 720) }
+      credit: { score: Number(snapshot?.creditScore || 720) },
+      va: va ? {
+        use: va.use,
+        fundingFee: va.fundingFee.exempt
+          ? { exempt: true, reason: va.fundingFee.exemptReason }
+          : { rate: `${fixed(va.fundingFee.pct, 2)}%`, amount: USD(va.fundingFee.amount), financed: va.fundingFee.financed },
+        loanAmount: USD(va.loanAmount),
+        cashToClose: USD(va.cashToClose),
+        monthlyPI: USD(va.pAndI),
+        pmi: USD(0),
+        residualIncome: {
+          actual: USD(va.residual.actual),
+          vaMinimum: USD(va.residual.guideline),
+          region: va.residual.region,
+          familySize: va.residual.familySize,
+          passes: va.residual.passes
+        },
+        assumed: va.assumptions
+      } : null,
+      rentVsBuy: rvb ? {
+        years: rvb.assumptions.years,
+        rentStart: USD(rvb.assumptions.rentStart),
+        breakevenYear: rvb.breakevenYear,
+        buyNetCost: USD(rvb.final.buyNetCost),
+        rentNetCost: USD(rvb.final.rentNetCost),
+        buyingAhead: rvb.final.advantage >= 0,
+        difference: USD(Math.abs(rvb.final.advantage)),
+        equity: USD(rvb.final.equity),
+        assumptions: t(lang, "factsRentVsBuyAssumptions", {
+          appreciation: rvb.assumptions.appreciationPct,
+          rentGrowth: rvb.assumptions.rentGrowthPct,
+          investReturn: rvb.assumptions.investReturnPct,
+          sellingCost: rvb.assumptions.sellingCostPct
+        })
+      } : null
     };
 
     /* -------- Style (server-enforced) -------- */
@@ -287,6 +259,7 @@ module.exports.handler = async (event) => {
         paragraphs: 5, bullets: "none",
         boldKeyNumbers: true,
         currency: "USD (whole dollars)",
+        language: lang === "es" ? "Spanish (US, formal usted)" : "English",
         readingLevel: "executive"
       },
       guardrails: [
@@ -313,8 +286,12 @@ module.exports.handler = async (event) => {
       "Use banker terms: commitment share, housing share, DTI (define inline as share of income to debts), coverage ×, runway months. Bold key numbers using **...**.",
       "Paragraph 2 must include concrete dollar targets (housing 28–33% lane AS DOLLAR RANGE, minimum DI, autopay reserve amount).",
       "Paragraph 4 must be a tactical playbook with plain URLs: annualcreditreport.com and cfpb.gov.",
-      "If you find yourself with fewer than five paragraphs, expand with credit strategy, savings runway, debt sequencing, and rate/points trade-offs until you reach five."
-    ].join(" ");
+      "When explaining the grade, cite facts.gradeReasons; never invent other reasons.",
+      "If you find yourself with fewer than five paragraphs, expand with credit strategy, savings runway, debt sequencing, and rate/points trade-offs until you reach five.",
+      facts.va ? "This is a VA purchase (facts.va): no PMI; state the funding fee (or its exemption) and whether residual income meets the VA minimum, using facts.va figures only." : "",
+      facts.rentVsBuy ? "Include one sentence on the 10-year rent-vs-buy outcome from facts.rentVsBuy (breakeven year, who comes out ahead and by how much)." : "",
+      languageInstruction(lang)
+    ].filter(Boolean).join(" ");
 
     const user = JSON.stringify({
       kind: kind || "fiduciary-memo",
@@ -324,42 +301,64 @@ module.exports.handler = async (event) => {
       buckets
     });
 
-    /* -------- OpenAI call -------- */
-    const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: `Bearer ${key}` },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        temperature: 0.25,
-        max_tokens: 1200,
-        messages: [
+    /* -------- Model call -------- */
+    // profile.email / phones / addresses in the snapshot go out as placeholders
+    // (lib/redact.js via lib/llm.js); raw comes back with the real values
+    let raw = "";
+    let memoHtml = "";
+    let fallbackReason = mode === "deterministic" ? "requested" : !llm.available ? "no_model" : "";
+    if (!fallbackReason) {
+      try {
+        ({ content: raw } = await llm.complete([
           { role: "system", content: system },
           { role: "user", content: user }
-        ]
-      })
-    });
-
-    if (!resp.ok) {
-      const detail = await resp.text().catch(() => "");
-      return { statusCode: 502, headers, body: JSON.stringify({ error: "OpenAI upstream error", detail }) };
+        ]));
+        // Enforce 5 paragraphs (padding <p></p> doesn't count)
+        memoHtml = toFiveParagraphHTML(raw);
+        const count = (memoHtml.match(/<p>(?!<\/p>)/g) || []).length;
+        if (count < 5) fallbackReason = "short_reply";
+      } catch (err) {
+        console.error("Summarize model error:", err.detail || err);
+        fallbackReason = "model_error";
+      }
     }
 
-    const data = await resp.json();
-    let raw = (data?.choices?.[0]?.message?.content || "").trim();
+    /* -------- Deterministic memo (no model, failure, short, or asked for) -------- */
+    let engine = null;
+    if (fallbackReason) {
+      engine = deterministicMemo({ client: facts.client, kpis: k, grade: letter, lang, priced, rentVsBuy: rvb });
+      memoHtml = engine.html;
+      raw = engine.text;
+    }
 
-    // Enforce 5 paragraphs; synthesize if short
-    let memoHtml = toFiveParagraphHTML(raw);
-    const count = (memoHtml.match(/<p>/g) || []).length;
-    if (count < 5) memoHtml = toFiveParagraphHTML(synthesizeFromFacts(facts, k));
+    /* -------- History -------- */
+    // A storage hiccup never costs the user their memo: history is just null
+    let history = null;
+    if (store) {
+      try {
+        const record = memoRecord({ kind, lang, source: engine ? "deterministic" : "model", grade: letter, kpis: k, snapshot, memoHtml });
+        const previous = await latestMemo(store, auth.session.email);
+        await saveMemo(store, auth.session.email, record);
+        history = { memoId: record.id, sincePrevious: previous ? compareMemos(previous, record, lang) : null };
+      } catch (err) {
+        console.error("Memo history error:", err);
+      }
+    }
 
     const out = {
       memoHtml,
       memo: raw,
       grade: letter,
+      gradeDetail: { score: gradeDetail.score, base: gradeDetail.base, adjustments: gradeDetail.adjustments },
+      lang,
+      source: engine ? "deterministic" : "model",
+      ...(engine ? { fallbackReason, memoEngine: { band: engine.band, issues: engine.issues, templateVersion: engine.templateVersion } } : {}),
+      history,
+      rentVsBuy: rvb ? { breakevenYear: rvb.breakevenYear, breakevenYears: rvb.breakevenYears, final: rvb.final, assumptions: rvb.assumptions } : null,
       kpis: {
-        income: k.income, expenses: k.expenses, savings: k.savings, housing: k.housing,
+        income: k.income, expenses: k.expenses, savings: k.savings, savingsBalance: k.savingsBalance, housing: k.housing,
         freePost: k.freePost, totalShare: k.totalShare, housingShare: k.housingShare,
-        dti: k.dti, coverage: k.coverage, runwayMonths: k.runwayMonths, stress: k.stress
+        dti: k.dti, coverage: k.coverage, runwayMonths: k.runwayMonths, stress: k.stress, va: k.va
       }
     };
 
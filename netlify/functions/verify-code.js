@@ -1,33 +1,45 @@
 // netlify/functions/verify-code.js
 //
 // PURPOSE:
-//  - Accept POST { email, code }
+//  - Accept POST { email, code }  — or —  POST { link } from the magic link (/verify#ml=...)
+//  - Throttle per email and per client IP
 //  - Hash the code the user typed
-//  - Look up the row in Supabase (email_codes table)
-//  - Confirm: same email, hashes match, not expired, not over attempt limit
-//  - Increment attempts if wrong
-//  - Return { ok:true, profile:{...} } on success
+//  - Look up the row in the auth store (lib/store.js → Supabase / Blobs / memory)
+//  - Confirm: same email, not expired, not over attempt limit, hashes match
+//  - Every guess claims an attempt (atomic increment in the store) before the
+//    hash is compared; consume (delete) the row on success
+//  - Errors come back as { ok:false, code:"invalid"|"expired"|"locked"|"throttled", error }
+//  - Save the verified profile (store.profiles)
+//  - Return { ok:true, profile:{...}, session:{ token, refreshToken, ... } } on success
 //
-// REQUIREMENTS (match send-code.js):
-//  - SUPABASE_URL
-//  - SUPABASE_SERVICE_KEY
+// REQUIREMENTS:
+//  - SESSION_SECRET (see lib/session.js)
+//  - AUTH_STORE backend env (see lib/store.js); none needed for "memory"
 //
-// TABLE: public.email_codes
+// TABLE: public.email_codes (Supabase backend; Blobs/memory keep the same row shape)
 //   email          text (PK-ish, or indexed, 1 row per active code is fine right now)
 //   code_hash      text
 //   attempts       int4
 //   expires_at     timestamptz
 //   created_at     timestamptz
+//   link_hash      text    <-- sha256 of the magic-link nonce (null if no link sent)
 //   context        jsonb   <-- { rank, lastName, phone, ... }
 //
 // NOTE:
-//  - We’re *not* deleting the row yet. You can — but for now we’ll just
-//    return success and let you redirect the user.
-//  - We *are* limiting attempts (max 5 tries).
+//  - send-code.js deletes older rows before inserting, so the newest row is
+//    the only live code for an email.
+//  - Attempts are limited (CODE_MAX_ATTEMPTS, default 5); see lib/otp.js.
+//    Claiming first means parallel guesses can't slip past the limit between
+//    the lockout check and the increment.
+//  - Resending a code resets attempts, so the per-email verify throttle
+//    (VERIFY_LIMIT_PER_EMAIL) caps guesses across codes.
+//  - A magic link is just another way to present the same row: a bad link
+//    counts as a wrong attempt, and success consumes the row (code + link).
 //
 
-const crypto = require("crypto");
-const { createClient } = require("@supabase/supabase-js");
+const { createStore } = require("./lib/store");
+const { CONFIG, hashCode, clientIp, checkThrottle, recordEvent, otpError } = require("./lib/otp");
+const { isConfigured: sessionConfigured, issueSession, verifyMagicLink } = require("./lib/session");
 
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
@@ -45,9 +57,12 @@ function respond(statusCode, obj) {
   };
 }
 
-// hash helper (must match send-code.js logic)
-function hashCode(code) {
-  return crypto.createHash("sha256").update(code).digest("hex");
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// structured OTP failure → response
+function fail(code, extra) {
+  const e = otpError(code, extra);
+  return respond(e.statusCode, e.body);
 }
 
 exports.handler = async function (event, context) {
@@ -68,100 +83,140 @@ exports.handler = async function (event, context) {
   } catch (err) {
     return respond(400, { error: "Invalid JSON body" });
   }
+  if (!isObj(body)) {
+    return respond(400, { error: "Invalid JSON body" });
+  }
 
-  const email = (body.email || "").trim().toLowerCase();
-  const codeRaw = (body.code || "").trim();
-
-  if (!email || !codeRaw || codeRaw.length !== 6) {
+  let email = String(body.email || "").trim().toLowerCase();
+  const codeRaw = String(body.code || "").trim();
+  const linkRaw = String(body.link || "").trim();
+
+  // 2b. magic link → email + row id + nonce (signature and expiry checked here)
+  let link = null;
+  if (linkRaw) {
+    const res = await verifyMagicLink(linkRaw);
+    if (!res.ok) return fail(res.code);
+    link = res.link;
+    email = link.email;
+  } else if (!email || !codeRaw || codeRaw.length !== 6) {
     return respond(400, { error: "Email and 6-digit code required." });
   }
 
-  // 3. env + supabase client
-  const SUPABASE_URL = process.env.SUPABASE_URL;
-  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY; // same var used in send-code.js
+  // 3. env + auth store
+  if (!sessionConfigured()) {
+    return respond(500, { error: "Session secret not configured" });
+  }
 
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-    return respond(500, { error: "Supabase env not configured" });
+  let store;
+  try {
+    store = createStore(event);
+  } catch (err) {
+    console.error("Store init error:", err);
+    return respond(500, { error: "Storage not configured" });
   }
 
-  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, {
-    auth: { persistSession: false }
-  });
+  // 3b. throttle per email (guessing one inbox across resends) and per IP
+  //     (guessing across many emails)
+  const ip = clientIp(event);
+  const throttled = await checkThrottle(store, "verify", { email, ip });
+  if (throttled) {
+    return fail("throttled", { retryAfter: throttled.retryAfter });
+  }
+  await recordEvent(store, "verify", { email, ip });
 
   // 4. load row for this email
-  const { data: rows, error: fetchErr } = await supabase
-    .from("email_codes")
-    .select("*")
-    .eq("email", email)
-    .order("created_at", { ascending: false })
-    .limit(1);
-
-  if (fetchErr) {
-    console.error("Supabase fetch error:", fetchErr);
+  let record;
+  try {
+    record = await store.codes.latest(email);
+  } catch (err) {
+    console.error("Code lookup error:", err);
     return respond(500, { error: "Lookup failed." });
   }
 
-  if (!rows || rows.length === 0) {
-    // no code on record for this email
-    return respond(400, { error: "Invalid or expired code." });
+  if (!record) {
+    // no code on record for this email (never sent, or already used)
+    return fail("invalid");
   }
 
-  const record = rows[0];
-
-  // 5. simple attempt lockout (optional)
-  const MAX_ATTEMPTS = 5;
-  if (record.attempts >= MAX_ATTEMPTS) {
-    return respond(400, { error: "Too many attempts. Request new code." });
+  // 5. attempt lockout
+  if (record.attempts >= CONFIG.maxAttempts) {
+    return fail("locked");
   }
 
   // 6. check expiration
   const now = Date.now();
   const exp = new Date(record.expires_at).getTime();
   if (isNaN(exp) || now > exp) {
-    return respond(400, { error: "Code expired. Request new code." });
+    return fail("expired");
   }
 
-  // 7. compare hash
-  const submittedHash = hashCode(codeRaw);
+  // 6b. a link from an older email was superseded by a newer code
+  if (link && new Date(link.rid).getTime() !== new Date(record.created_at).getTime()) {
+    return fail("expired");
+  }
 
-  if (submittedHash !== record.code_hash) {
-    // wrong code → bump attempts
-    const { error: attemptErr } = await supabase
-      .from("email_codes")
-      .update({ attempts: record.attempts + 1 })
-      .eq("email", email)
-      .eq("created_at", record.created_at);
+  // 7. claim an attempt before comparing (the store increments atomically)
+  let attempts;
+  try {
+    attempts = await store.codes.addAttempt(email, record.created_at);
+  } catch (err) {
+    console.error("Attempt update error:", err);
+    return respond(500, { error: "Verification failed." });
+  }
+  if (attempts === null) {
+    // consumed or replaced since the lookup
+    return fail("invalid");
+  }
+  if (attempts > CONFIG.maxAttempts) {
+    return fail("locked");
+  }
 
-    if (attemptErr) {
-      console.error("Supabase attempt update error:", attemptErr);
-    }
+  // 7b. compare hash (code, or link nonce against the same row)
+  const matches = link
+    ? !!record.link_hash && hashCode(link.nonce) === record.link_hash
+    : hashCode(codeRaw) === record.code_hash;
 
-    return respond(400, { error: "Invalid code." });
+  if (!matches) {
+    const remaining = CONFIG.maxAttempts - attempts;
+    if (remaining <= 0) return fail("locked");
+    return fail("invalid", { attemptsRemaining: remaining });
+  }
+
+  // 7c. consume the code — only one caller can win
+  let consumed;
+  try {
+    consumed = await store.codes.consume(email, record.created_at);
+  } catch (err) {
+    console.error("Code consume error:", err);
+    return respond(500, { error: "Verification failed." });
+  }
+  if (!consumed) {
+    return fail("invalid");
   }
 
   // 8. SUCCESS 🎉
   // you are verified. we can return whatever the app needs:
   // - ok:true
   // - identity info (rank, lastName, phone) pulled from context jsonb
-  // - maybe a lightweight session token later
-  const profile = {
+  // - signed session token (+ refresh token) the other functions check
+  let profile = {
     email: record.email,
     ...record.context // pulls rank / lastName / phone etc.
   };
 
-  // OPTIONAL CLEANUP:
-  // If you want “one-time code,” you can delete the row here so
-  // it can’t be reused:
-  //
-  // await supabase
-  //   .from("email_codes")
-  //   .delete()
-  //   .eq("email", email)
-  //   .eq("created_at", record.created_at);
+  try {
+    profile = await store.profiles.put(email, { ...profile, verifiedAt: new Date().toISOString() });
+  } catch (err) {
+    // verification still stands; the profile is a convenience copy
+    console.error("Profile save error:", err);
+  }
+
+  const session = await issueSession(profile);
 
   return respond(200, {
     ok: true,
     message: "Code verified.",
-    profile
+    profile,
+    session
   });
 };
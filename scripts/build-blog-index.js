@@ -0,0 +1,130 @@
+// scripts/build-blog-index.js
+//
+// PURPOSE:
+// - Extract the article text from blog-page/*.html into passages Elena can
+//   retrieve (netlify/functions/data/blog-index.json → lib/retrieval.js)
+// - Run after editing any blog page:  npm run index:blog
+//
+// EXTRACTION:
+// - Only <section> content (falls back to <body> minus <footer>) so the
+//   navbar and footer links stay out
+// - Drops Webflow template filler (lorem ipsum, "Heading", phone stubs)
+//   and the access-code gate overlay
+// - Passages = a heading plus the paragraphs under it, ~700 chars max
+// - A passage repeated on several pages is kept once, on the first page
+//   listed in PAGES (the page that actually owns that content)
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const OUT = path.join(ROOT, "netlify/functions/data/blog-index.json");
+
+// File → display title (the <title> tags still say "Rezoid - Service Two")
+const PAGES = [
+  { file: "blog-page/realtors.html", title: "Realtors — The Good, The Bad, The Ugly" },
+  { file: "blog-page/va-loans.html", title: "VA Loans" },
+  { file: "blog-page/do-i-need-a-realtor.html", title: "Do I Need a Realtor?" },
+  { file: "blog-page/message-to-buyers.html", title: "Our Message to Buyers" },
+  { file: "blog-page/a-i-influence-in-realty.html", title: "A.I. Influence in Realty — Realtor Killer?" },
+  { file: "blog-page/inception.html", title: "Elena’s Inception — How OrozcoRealty Began" }
+];
+
+const MAX_PASSAGE_CHARS = 700;
+const MIN_TEXT_CHARS = 40;
+const MAX_HEADING_CHARS = 90; // longer <h*> text is a lede, index it as body text
+
+const FILLER = /\b(lorem|ipsum|consectetur|curabitur|vestibulum|maecenas|phasellus|aliquam|suspendisse|mauris|donec|duis|nulla|feugiat)\b/i;
+const GATE = /access code|unlock code we provided/i;
+const BOILERPLATE = /^(heading|lets talk|block quote|read more|explore .*|\(?\d{3}\)?[\s-]?\d{3}[\s-]?\d{4}|have a question\?.*)$/i;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", mdash: "—", ndash: "–", hellip: "…", bull: "•" };
+
+function decode(s) {
+  return s
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&([a-z]+);/gi, (m, name) => ENTITIES[name.toLowerCase()] ?? m);
+}
+
+function contentRegion(html) {
+  const clean = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|svg|noscript)\b[\s\S]*?<\/\1>/gi, "");
+  const sections = clean.match(/<section\b[\s\S]*?<\/section>/gi);
+  if (sections && sections.length) return sections.join("\n");
+  const body = clean.slice(Math.max(0, clean.search(/<body\b/i)));
+  const footer = body.search(/<footer\b|class="[^"]*footer/i);
+  return footer > 0 ? body.slice(0, footer) : body;
+}
+
+// → [{ kind:"heading"|"text", text }]
+function blocks(region) {
+  const out = [];
+  const marked = region
+    .replace(/<h[1-6]\b[^>]*>/gi, "\n@@H ")
+    .replace(/<\/h[1-6]>/gi, "\n")
+    .replace(/<(p|li|div|blockquote|br|figcaption)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, " ");
+  for (const raw of decode(marked).split("\n")) {
+    const isHeading = raw.startsWith("@@H ");
+    const text = raw.replace(/^@@H /, "").replace(/[​-‍﻿]/g, "").replace(/\s+/g, " ").trim();
+    if (!text || BOILERPLATE.test(text) || FILLER.test(text) || GATE.test(text)) continue;
+    // short, unpunctuated lines act as sub-headings ("Changing the Game")
+    const looksLikeHeading = text.length < MIN_TEXT_CHARS && /\s/.test(text) && !/[.!?:,]$/.test(text);
+    if ((isHeading && text.length <= MAX_HEADING_CHARS) || looksLikeHeading) out.push({ kind: "heading", text });
+    else if (text.length >= MIN_TEXT_CHARS || /^•/.test(text)) out.push({ kind: "text", text });
+  }
+  return out;
+}
+
+function passagesOf(list) {
+  const passages = [];
+  let heading = "";
+  let current = null;
+  const flush = () => {
+    if (current && current.text) passages.push(current);
+    current = null;
+  };
+  for (const b of list) {
+    if (b.kind === "heading") {
+      flush();
+      heading = b.text;
+      continue;
+    }
+    if (!current) current = { heading, text: "" };
+    if (current.text && current.text.length + b.text.length + 1 > MAX_PASSAGE_CHARS) {
+      flush();
+      current = { heading, text: "" };
+    }
+    current.text = current.text ? `${current.text} ${b.text}` : b.text;
+  }
+  flush();
+  return passages;
+}
+
+function build() {
+  const seen = new Set();
+  const pages = [];
+  for (const p of PAGES) {
+    const html = fs.readFileSync(path.join(ROOT, p.file), "utf8");
+    const slug = path.basename(p.file, ".html");
+    const passages = [];
+    for (const psg of passagesOf(blocks(contentRegion(html)))) {
+      const key = psg.text.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      passages.push({ id: `${slug}#${passages.length + 1}`, ...psg });
+    }
+    pages.push({ slug, path: `/${p.file}`, title: p.title, passages });
+  }
+  return { version: 1, generatedAt: new Date().toISOString(), pages };
+}
+
+const index = build();
+fs.writeFileSync(OUT, JSON.stringify(index, null, 2) + "\n");
+for (const p of index.pages) {
+  console.log(`${p.path}: ${p.passages.length} passage(s)${p.passages.length ? "" : " — nothing but template text, fill in the article"}`);
+}
+console.log(`→ ${path.relative(ROOT, OUT)}`);
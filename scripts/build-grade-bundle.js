@@ -0,0 +1,42 @@
+// scripts/build-grade-bundle.js
+//
+// PURPOSE:
+// - Copy the grading module (netlify/functions/lib/grading.js) to
+//   js/rs-grade.js so the pages grade exactly as the functions do
+//   (window.RSGrade: gradeSnapshot, grade, ratios, letterFor, GRADES)
+// - Run after editing lib/grading.js:  npm run bundle:grade
+// - --check writes nothing and exits 1 when js/rs-grade.js is stale
+//   (test/grading.test.js runs it, so a forgotten rebuild fails npm test)
+//
+// The module is already browser-safe (no require, UMD wrapper), so this is
+// a straight copy under a "generated" banner — never edit js/rs-grade.js
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SRC = path.join(ROOT, "netlify/functions/lib/grading.js");
+const OUT = path.join(ROOT, "js/rs-grade.js");
+
+const source = fs.readFileSync(SRC, "utf8");
+if (/\brequire\(/.test(source)) {
+  console.error(`${path.relative(ROOT, SRC)} requires another module; the browser copy cannot load it`);
+  process.exit(1);
+}
+
+const banner = `/* GENERATED by scripts/build-grade-bundle.js from ${path.relative(ROOT, SRC)}
+   — edit that file and run \`npm run bundle:grade\`, never this copy */\n`;
+const bundle = banner + source;
+
+if (process.argv.includes("--check")) {
+  const current = fs.existsSync(OUT) ? fs.readFileSync(OUT, "utf8") : "";
+  if (current !== bundle) {
+    console.error(`${path.relative(ROOT, OUT)} is out of date with ${path.relative(ROOT, SRC)}; run \`npm run bundle:grade\``);
+    process.exit(1);
+  }
+  console.log(`${path.relative(ROOT, OUT)} is up to date`);
+} else {
+  fs.writeFileSync(OUT, bundle);
+  console.log(`→ ${path.relative(ROOT, OUT)}`);
+}
@@ -0,0 +1,90 @@
+// test/amortization.test.js
+//
+// PURPOSE:
+// - Fixed numeric cases for lib/amortization.js: a 0% loan, the PMI drop
+//   month at 78% of the original value, what extra principal saves, payoff
+//   dates, escrow growth, and a loan paid off before PMI would drop
+// - Figures were checked against the closed-form payment
+//   P·r / (1 − (1 + r)^−n); money is rounded to cents as amortize() returns it
+// - Run:  npm test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { amortize, validateTerms, addMonths } = require("../netlify/functions/lib/amortization.js");
+
+// $200k at 6% for 30 years on a $210k home, $90/mo PMI until 78% ($163,800)
+const PMI_LOAN = { loanAmount: 200000, homeValue: 210000, apr: 6, termYears: 30, pmi: 90, startDate: "2027-01" };
+
+test("apr 0: straight-line principal, no interest", () => {
+  const r = amortize({ loanAmount: 120000, apr: 0, termYears: 10, startDate: "2027-01" });
+  assert.equal(r.loan.payment, 1000);
+  assert.equal(r.monthly[0].principal, 1000);
+  assert.equal(r.monthly[0].interest, 0);
+  assert.equal(r.totals.interest, 0);
+  assert.deepEqual(r.payoff, { date: "2036-12", months: 120 });
+  assert.equal(r.monthly[119].balance, 0);
+  assert.equal(r.pmi, null);
+});
+
+test("payment, total interest and payoff date at 6% / 30 years", () => {
+  const r = amortize(PMI_LOAN);
+  assert.equal(r.loan.payment, 1199.1);
+  assert.equal(r.monthly[0].interest, 1000);
+  assert.equal(r.monthly[0].principal, 199.1);
+  assert.equal(r.totals.interest, 231676.43);
+  assert.deepEqual(r.payoff, { date: "2056-12", months: 360 });
+  assert.equal(r.yearly.length, 30);
+});
+
+test("PMI drops the month after the balance reaches 78% of the original value", () => {
+  const r = amortize(PMI_LOAN);
+  assert.deepEqual(r.pmi, { monthly: 90, dropLtv: 0.78, dropMonth: 131, dropDate: "2037-11", total: 11700 });
+  assert.equal(r.monthly[129].pmi, 90);
+  assert.equal(r.monthly[130].pmi, 0);
+  assert.ok(r.monthly[129].balance <= 163800 && r.monthly[128].balance > 163800);
+});
+
+test("appreciation changes equity, not the PMI drop", () => {
+  const r = amortize({ ...PMI_LOAN, appreciationPct: 5 });
+  assert.equal(r.pmi.dropMonth, 131);
+  assert.equal(r.yearly[0].homeValue, 220500);
+});
+
+test("extra principal: months, interest and PMI saved", () => {
+  const r = amortize({ ...PMI_LOAN, extraMonthly: 200 });
+  assert.deepEqual(r.payoff, { date: "2047-12", months: 252 });
+  assert.equal(r.pmi.dropMonth, 76);
+  assert.deepEqual(r.extra, { monthsSaved: 108, interestSaved: 79800.58, pmiSaved: 4950, payoffWithout: "2056-12" });
+  assert.equal(r.totals.interest, 151875.85);
+});
+
+test("a lump sum that pays the loan off before PMI drops reports no drop month", () => {
+  const r = amortize({ loanAmount: 100000, homeValue: 110000, apr: 6, termYears: 30, pmi: 50, startDate: "2027-01", extraOnce: [{ date: "2027-03", amount: 200000 }] });
+  assert.deepEqual(r.payoff, { date: "2027-03", months: 3 });
+  assert.equal(r.pmi.dropMonth, null);
+  assert.equal(r.pmi.dropDate, null);
+  assert.equal(r.pmi.total, 150);
+});
+
+test("PITI: escrow grows yearly, HOA and tihoa stay flat", () => {
+  const r = amortize({ loanAmount: 300000, apr: 7, termYears: 30, startDate: "2027-06", taxes: 400, insurance: 150, hoa: 50, tihoa: 25, escrowGrowthPct: 3 });
+  assert.deepEqual(r.piti, { principalAndInterest: 1995.91, taxes: 400, insurance: 150, escrow: 550, pmi: 0, hoa: 50, tihoa: 25, total: 2620.91 });
+  assert.equal(r.monthly[12].escrow, 566.5);
+  assert.equal(r.monthly[12].hoa, 50);
+  assert.equal(r.monthly[12].tihoa, 25);
+  assert.deepEqual(r.payoff, { date: "2057-05", months: 360 });
+});
+
+test("addMonths crosses year ends", () => {
+  assert.equal(addMonths("2027-11", 2), "2028-01");
+  assert.equal(addMonths("2027-01", 119), "2036-12");
+});
+
+test("validateTerms rejects missing and out-of-range fields", () => {
+  assert.deepEqual(validateTerms({ loanAmount: 1000, apr: 5 }), []);
+  const fields = validateTerms({ apr: 31, startDate: "2027-13" }).map((e) => e.field);
+  assert.deepEqual(fields, ["apr", "loanAmount", "startDate"]);
+});
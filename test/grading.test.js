@@ -0,0 +1,98 @@
+// test/grading.test.js
+//
+// PURPOSE:
+// - Fixed snapshots through lib/grading.js with the exact adjustments
+//   (rule, points, reason) each one earns, in both languages
+// - The grade agrees with lib/fiduciary.js computeKPIs on the same snapshot
+// - Dashboards saved before savingsBalance existed are read the old way
+//   (lib/fiduciary.js storedBridge)
+// - js/rs-grade.js is what scripts/build-grade-bundle.js would write now
+//   (its --check mode), so the pages can't grade on a stale copy
+// - Run:  npm test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { gradeSnapshot, grade, letterFor } = require("../netlify/functions/lib/grading.js");
+const { computeKPIs, storedBridge } = require("../netlify/functions/lib/fiduciary.js");
+
+const reasons = (g) => g.adjustments.map((a) => a.reason);
+
+test("commitments at 73% of income, housing within 33%: B+ 85", () => {
+  const g = gradeSnapshot({ income: 7000, expenses: 2300, savings: 700, housing: 2100 });
+  assert.deepEqual([g.letter, g.score, g.base], ["B+", 85, 92]);
+  assert.deepEqual(reasons(g), [
+    "commitment share 73% ≥ 70%: −15",
+    "housing share 30% ≤ 33%: +4",
+    "free cash flow 27% of income ≥ 20%: +4",
+  ]);
+});
+
+test("house-poor: every rule fires against the snapshot, F 26", () => {
+  const g = gradeSnapshot({ income: 6000, expenses: 2500, savings: 300, housing: 2700 });
+  assert.deepEqual([g.letter, g.score], ["F", 26]);
+  assert.deepEqual(g.adjustments.map((a) => [a.rule, a.points]), [
+    ["commitment_share", -30],
+    ["housing_share", -18],
+    ["free_cash_flow", -10],
+    ["savings_rate", -8],
+  ]);
+  assert.deepEqual(reasons(gradeSnapshot({ income: 6000, expenses: 2500, savings: 300, housing: 2700 }, "es")), [
+    "participación de compromisos 92% ≥ 85%: −30",
+    "participación de vivienda 45% > 40%: −18",
+    "flujo libre 8% del ingreso < 10%: −10",
+    "tasa de ahorro 5% < 10%: −8",
+  ]);
+});
+
+test("a strong saver: A- 89 with the savings-rate bonus", () => {
+  const g = gradeSnapshot({ income: 5000, expenses: 1500, savings: 1200, housing: 1200 });
+  assert.deepEqual([g.letter, g.score], ["A-", 89]);
+  assert.equal(reasons(g)[3], "savings rate 24% ≥ 20%: +4");
+});
+
+test("negative free cash flow is shown in dollars and clamps low", () => {
+  const g = gradeSnapshot({ income: 4000, expenses: 2500, savings: 0, housing: 2000 });
+  assert.deepEqual([g.letter, g.score], ["F", 6]);
+  assert.equal(reasons(g)[2], "free cash flow -$500 < $0: −30");
+});
+
+test("no income: commitments count as 100%, no free-cash-flow rule", () => {
+  const g = gradeSnapshot({});
+  assert.deepEqual([g.letter, g.score], ["C-", 58]);
+  assert.deepEqual(g.adjustments.map((a) => a.rule), ["commitment_share", "housing_share", "savings_rate"]);
+});
+
+test("grading computeKPIs output gives the same grade as the snapshot", () => {
+  const s = { income: 7000, expenses: 2300, savings: 700, savingsBalance: 15000, housing: 2100 };
+  assert.deepEqual(grade(computeKPIs(s)), gradeSnapshot(s));
+});
+
+test("a stored bridge from before savingsBalance: balance → runway, contribution stays in expenses", () => {
+  const legacy = { income: 7000, expenses: 3000, savings: 15000, housing: 2100 };
+  const b = storedBridge({ bridge: legacy });
+  assert.deepEqual(b, { income: 7000, expenses: 3000, savings: 0, savingsBalance: 15000, housing: 2100 });
+  const k = computeKPIs(b);
+  assert.equal(k.runwayMonths, 5);
+  // same commitments as the current bridge shape ({ expenses: 2300, savings: 700 })
+  assert.equal(Math.round(k.totalShare * 100), 73);
+
+  const current = { income: 7000, expenses: 2300, savings: 700, savingsBalance: 15000, housing: 2100 };
+  assert.equal(storedBridge({ bridge: current }), current);
+  assert.equal(storedBridge({ bridge: null }), null);
+  assert.equal(storedBridge(null), null);
+});
+
+test("letter cut-offs", () => {
+  assert.deepEqual([100, 98, 97, 92, 82, 81, 45, 44, 0].map(letterFor), ["A+", "A+", "A", "A", "B+", "B", "D", "F", "F"]);
+});
+
+test("js/rs-grade.js matches a fresh npm run bundle:grade", () => {
+  const script = fileURLToPath(new URL("../scripts/build-grade-bundle.js", import.meta.url));
+  const run = spawnSync(process.execPath, [script, "--check"], { encoding: "utf8" });
+  assert.equal(run.status, 0, run.stderr);
+});
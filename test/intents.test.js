@@ -0,0 +1,23 @@
+// test/intents.test.js
+//
+// PURPOSE:
+// - Replay data/intent-fixtures.json against the shipped registry
+//   (netlify/functions/data/intents.json) — one test per utterance
+// - Run:  npm test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { detectIntent } = require("../netlify/functions/lib/intents.js");
+const { cases } = require("../netlify/functions/data/intent-fixtures.json");
+
+for (const f of cases) {
+  const expect = f.expect ?? null;
+  const label = `${JSON.stringify(f.text)}${f.context ? " " + JSON.stringify(f.context) : ""} → ${expect}`;
+  test(label, () => {
+    const hit = detectIntent(f.text, f.context || {});
+    assert.equal(hit ? hit.type : null, expect, hit ? `matched ${JSON.stringify(hit.match)}` : undefined);
+  });
+}
@@ -0,0 +1,98 @@
+// test/magic-link.test.js
+//
+// PURPOSE:
+// - Magic links (lib/session.js signMagicLink / verifyMagicLink) and their
+//   path through verify-code.js on the in-memory store: a link signs in
+//   once, expires with its code, is superseded by a newer code, and a
+//   forged nonce counts as a wrong attempt
+// - Run:  npm test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_STORE = "memory";
+process.env.SESSION_SECRET = "x".repeat(40);
+
+const require = createRequire(import.meta.url);
+const { handler } = require("../netlify/functions/verify-code.js");
+const { signMagicLink, verifyMagicLink, issueSession } = require("../netlify/functions/lib/session.js");
+const { createMemoryStore, resetMemoryStore } = require("../netlify/functions/lib/store/memory.js");
+const { hashCode } = require("../netlify/functions/lib/otp.js");
+
+const EMAIL = "jane.doe@example.com";
+const NONCE = "n0nce-n0nce-n0nce";
+
+// seed a code row the way send-code.js does and sign its link
+async function seedLink({ createdAt = new Date(), expiresInMs = 10 * 60 * 1000 } = {}) {
+  const rid = createdAt.toISOString();
+  const expiresAt = new Date(Date.now() + expiresInMs).toISOString();
+  await createMemoryStore().codes.replace(EMAIL, {
+    email: EMAIL,
+    code_hash: hashCode("123456"),
+    attempts: 0,
+    created_at: rid,
+    expires_at: expiresAt,
+    link_hash: hashCode(NONCE),
+    context: { rank: "SSG", lastName: "Doe" },
+  });
+  return { rid, expiresAt };
+}
+
+async function verify(body) {
+  const res = await handler({ httpMethod: "POST", headers: {}, body: JSON.stringify(body) });
+  return { status: res.statusCode, body: JSON.parse(res.body) };
+}
+
+test.beforeEach(() => resetMemoryStore());
+
+test("a signed link round-trips email, row id and nonce", async () => {
+  const { rid, expiresAt } = await seedLink();
+  const link = await signMagicLink({ email: EMAIL, rid, nonce: NONCE, expiresAt });
+  assert.deepEqual(await verifyMagicLink(link), { ok: true, link: { email: EMAIL, rid, nonce: NONCE } });
+});
+
+test("expired, tampered and non-link tokens are rejected", async () => {
+  const expired = await signMagicLink({ email: EMAIL, rid: "r", nonce: NONCE, expiresAt: new Date(Date.now() - 1000).toISOString() });
+  assert.deepEqual(await verifyMagicLink(expired), { ok: false, code: "expired" });
+  const { token } = await issueSession({ email: EMAIL });
+  assert.deepEqual(await verifyMagicLink(token), { ok: false, code: "invalid" });
+  assert.deepEqual(await verifyMagicLink(token.slice(0, -2) + "xx"), { ok: false, code: "invalid" });
+});
+
+test("a link signs in once", async () => {
+  const { rid, expiresAt } = await seedLink();
+  const link = await signMagicLink({ email: EMAIL, rid, nonce: NONCE, expiresAt });
+  const first = await verify({ link });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.profile.email, EMAIL);
+  assert.ok(first.body.session.token);
+
+  const second = await verify({ link });
+  assert.equal(second.status, 400);
+  assert.equal(second.body.code, "invalid");
+  // the code sent in the same email went with it
+  assert.equal((await verify({ email: EMAIL, code: "123456" })).body.code, "invalid");
+});
+
+test("a newer code supersedes the link from an older email", async () => {
+  const old = await seedLink({ createdAt: new Date(Date.now() - 120 * 1000) });
+  const link = await signMagicLink({ email: EMAIL, rid: old.rid, nonce: NONCE, expiresAt: old.expiresAt });
+  await seedLink();
+  const r = await verify({ link });
+  assert.equal(r.body.code, "expired");
+});
+
+test("a link past its code's expiry is rejected", async () => {
+  const { rid } = await seedLink({ expiresInMs: -1000 });
+  const link = await signMagicLink({ email: EMAIL, rid, nonce: NONCE, expiresAt: new Date(Date.now() + 60 * 1000).toISOString() });
+  assert.equal((await verify({ link })).body.code, "expired");
+});
+
+test("a forged nonce counts as a wrong attempt", async () => {
+  const { rid, expiresAt } = await seedLink();
+  const link = await signMagicLink({ email: EMAIL, rid, nonce: "guessed", expiresAt });
+  const r = await verify({ link });
+  assert.deepEqual([r.body.code, r.body.attemptsRemaining], ["invalid", 4]);
+});
@@ -0,0 +1,35 @@
+// test/memo.test.js
+//
+// PURPOSE:
+// - Replay data/memo-fixtures.json through lib/memo.js deterministicMemo
+//   the way summarize.js calls it: snapshot.va → priced as a VA loan first
+//   (lib/va.js), priced snapshots get the rent-vs-buy projection
+// - Each case checks band, issues (in order), five paragraphs, and that no
+//   {placeholder} is left unfilled
+// - Run:  npm test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { deterministicMemo } = require("../netlify/functions/lib/memo.js");
+const { computeKPIs } = require("../netlify/functions/lib/fiduciary.js");
+const { withVaLoan } = require("../netlify/functions/lib/va.js");
+const { rentVsBuy: projectRentVsBuy } = require("../netlify/functions/lib/rentvsbuy.js");
+const { cases } = require("../netlify/functions/data/memo-fixtures.json");
+
+for (const f of cases) {
+  test(f.name, () => {
+    const { snapshot, va } = withVaLoan(f.snapshot);
+    const kpis = { ...computeKPIs(snapshot), va };
+    const priced = Number(f.snapshot.price) > 0;
+    const rentVsBuy = priced ? projectRentVsBuy(snapshot) : null;
+    const memo = deterministicMemo({ client: f.client, kpis, lang: f.lang, priced, rentVsBuy });
+
+    if (f.expect.band) assert.equal(memo.band, f.expect.band);
+    if (f.expect.issues) assert.deepEqual(memo.issues, f.expect.issues);
+    assert.equal((memo.html.match(/<p>/g) || []).length, 5, "five paragraphs");
+    assert.doesNotMatch(memo.html, /\{\w+\}/, "unfilled placeholder");
+  });
+}
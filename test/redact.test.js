@@ -0,0 +1,23 @@
+// test/redact.test.js
+//
+// PURPOSE:
+// - Replay data/redaction-fixtures.json against lib/redact.js — each case
+//   must redact to `expect` and restore back to the original text
+// - Run:  npm test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { createRedactor } = require("../netlify/functions/lib/redact.js");
+const { cases } = require("../netlify/functions/data/redaction-fixtures.json");
+
+for (const f of cases) {
+  test(JSON.stringify(f.text), () => {
+    const r = createRedactor();
+    const got = r.redact(f.text);
+    assert.equal(got, f.expect);
+    assert.equal(r.restore(got), f.text);
+  });
+}
@@ -0,0 +1,80 @@
+// test/session.test.js
+//
+// PURPOSE:
+// - lib/session.js tokens and refresh-session.js: access vs refresh token
+//   types, tampering, and the hard stop at auth_time + REFRESH_TTL however
+//   often the session is refreshed
+// - Run:  npm test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+
+process.env.SESSION_SECRET = "x".repeat(40);
+
+const require = createRequire(import.meta.url);
+const { issueSession, requireSession, refreshSession } = require("../netlify/functions/lib/session.js");
+const { handler: refreshHandler } = require("../netlify/functions/refresh-session.js");
+
+const REFRESH_TTL = 30 * 24 * 60 * 60;
+const PROFILE = { email: "Jane.Doe@Example.com", rank: "SSG", lastName: "Doe" };
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+async function refresh(refreshToken) {
+  const res = await refreshHandler({ httpMethod: "POST", body: JSON.stringify({ refreshToken }) });
+  return { status: res.statusCode, body: JSON.parse(res.body) };
+}
+
+test("an access token passes requireSession with the profile claims", async () => {
+  const { token } = await issueSession(PROFILE);
+  const auth = await requireSession(bearer(token));
+  assert.equal(auth.ok, true);
+  assert.equal(auth.session.email, "jane.doe@example.com");
+  assert.equal(auth.session.rank, "SSG");
+});
+
+test("missing, tampered and wrong-type tokens are rejected", async () => {
+  const { token, refreshToken } = await issueSession(PROFILE);
+  assert.equal((await requireSession({ headers: {} })).code, "auth_required");
+  assert.deepEqual(await requireSession({ headers: {} }, { optional: true }), { ok: true, session: null });
+  assert.equal((await requireSession(bearer(token.slice(0, -2) + "xx"))).code, "session_invalid");
+  // a refresh token is not an access token, and the other way round
+  assert.equal((await requireSession(bearer(refreshToken))).code, "session_invalid");
+  assert.equal((await refreshSession(token)).code, "session_invalid");
+});
+
+test("refreshing keeps auth_time and the refresh expiry", async () => {
+  const first = await issueSession(PROFILE);
+  const r = await refresh(first.refreshToken);
+  assert.equal(r.status, 200);
+  assert.equal(r.body.profile.email, "jane.doe@example.com");
+  assert.equal(r.body.session.refreshExpiresAt, first.refreshExpiresAt);
+  const auth = await requireSession(bearer(r.body.session.token));
+  assert.equal(auth.session.authTime, (await refreshSession(first.refreshToken)).session.authTime);
+});
+
+test("a refresh past auth_time + REFRESH_TTL fails", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const stale = await issueSession({ ...PROFILE, authTime: now - REFRESH_TTL - 60 });
+  assert.ok(new Date(stale.refreshExpiresAt).getTime() < Date.now());
+  // the access token can't outlive the refresh token either
+  assert.equal(stale.expiresAt, stale.refreshExpiresAt);
+
+  const r = await refresh(stale.refreshToken);
+  assert.equal(r.status, 401);
+  assert.equal(r.body.code, "session_expired");
+  assert.equal((await requireSession(bearer(stale.token))).code, "session_expired");
+});
+
+test("a session near the end of its refresh window gets a short access token", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const late = await issueSession({ ...PROFILE, authTime: now - REFRESH_TTL + 120 });
+  assert.equal(late.expiresAt, late.refreshExpiresAt);
+  assert.ok(new Date(late.expiresAt).getTime() - Date.now() <= 120 * 1000);
+});
+
+test("refresh-session rejects a body without a token", async () => {
+  assert.equal((await refresh("")).status, 400);
+  const res = await refreshHandler({ httpMethod: "POST", body: "null" });
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,101 @@
+// test/va.test.js
+//
+// PURPOSE:
+// - Fixed cases for lib/va.js against data/va-loan.json: funding-fee tiers
+//   by use and down payment, the exemptions, the residual-income tables
+//   (region, family size, small-loan table) and a fully priced VA purchase
+// - Run:  npm test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { fundingFee, residualGuideline, regionOf, vaLoan, withVaLoan } = require("../netlify/functions/lib/va.js");
+
+test("funding fee tiers: first use", () => {
+  assert.equal(fundingFee({ use: "first", downPct: 0 }).pct, 2.15);
+  assert.equal(fundingFee({ use: "first", downPct: 4.99 }).pct, 2.15);
+  assert.equal(fundingFee({ use: "first", downPct: 5 }).pct, 1.5);
+  assert.equal(fundingFee({ use: "first", downPct: 10 }).pct, 1.25);
+  assert.equal(fundingFee({ use: "first", downPct: 25 }).pct, 1.25);
+});
+
+test("funding fee tiers: subsequent use, unknown use falls back to first", () => {
+  assert.equal(fundingFee({ use: "subsequent", downPct: 0 }).pct, 3.3);
+  assert.equal(fundingFee({ use: "subsequent", downPct: 5 }).pct, 1.5);
+  assert.equal(fundingFee({ use: "subsequent", downPct: 10 }).pct, 1.25);
+  assert.equal(fundingFee({ use: "cash-out", downPct: 0 }).pct, 2.15);
+});
+
+test("funding fee exemptions", () => {
+  assert.deepEqual(fundingFee({ downPct: 0, disabilityRating: 10 }), { pct: 0, tierPct: 2.15, exempt: true, exemptReason: "disability" });
+  assert.equal(fundingFee({ downPct: 0, disabilityRating: 0 }).exempt, false);
+  assert.equal(fundingFee({ downPct: 0, survivor: true }).exemptReason, "survivor");
+  assert.equal(fundingFee({ downPct: 0, purpleHeart: true }).exemptReason, "purple_heart");
+});
+
+test("residual income: regions and family sizes (standard table)", () => {
+  assert.equal(residualGuideline({ region: "south", familySize: 1, loanAmount: 300000 }).guideline, 441);
+  assert.equal(residualGuideline({ region: "south", familySize: 4, loanAmount: 300000 }).guideline, 1003);
+  assert.equal(residualGuideline({ region: "west", familySize: 5, loanAmount: 300000 }).guideline, 1158);
+  assert.equal(residualGuideline({ region: "northeast", familySize: 6, loanAmount: 300000 }).guideline, 1142);
+  // capped at seven members: 1062 + 2 × 80
+  assert.deepEqual(residualGuideline({ region: "northeast", familySize: 9, loanAmount: 300000 }), { guideline: 1222, table: "standard", familySize: 7 });
+  // unknown region → south
+  assert.equal(residualGuideline({ region: "mars", familySize: 2, loanAmount: 300000 }).guideline, 738);
+});
+
+test("residual income: loans of $79,999 and below use the small table", () => {
+  assert.deepEqual(residualGuideline({ region: "midwest", familySize: 3, loanAmount: 79999 }), { guideline: 772, table: "small", familySize: 3 });
+  assert.equal(residualGuideline({ region: "midwest", familySize: 3, loanAmount: 80000 }).table, "standard");
+  assert.equal(residualGuideline({ region: "west", familySize: 6, loanAmount: 50000 }).guideline, 1079);
+});
+
+test("state codes map to residual-income regions", () => {
+  assert.equal(regionOf("tx"), "south");
+  assert.equal(regionOf("CA"), "west");
+  assert.equal(regionOf("NY"), "northeast");
+  assert.equal(regionOf("OH"), "midwest");
+  assert.equal(regionOf("ZZ"), null);
+});
+
+test("priced VA purchase: fee financed, no PMI, residual test", () => {
+  const s = { income: 8000, expenses: 2500, price: 300000, dpAmt: 0, apr: 6.5, termYears: 30, tihoa: 450, pmi: 180, va: { use: "first", familySize: 3, state: "TX" } };
+  const va = vaLoan(s);
+  assert.equal(va.fundingFee.pct, 2.15);
+  assert.equal(va.fundingFee.amount, 6450);
+  assert.equal(va.loanAmount, 306450);
+  assert.equal(va.cashToClose, 0);
+  assert.equal(Math.round(va.pAndI * 100) / 100, 1936.97);
+  assert.equal(Math.round(va.housing * 100) / 100, 2386.97);
+  assert.equal(va.residual.region, "south");
+  assert.equal(va.residual.guideline, 889);
+  assert.equal(Math.round(va.residual.actual * 100) / 100, 3113.03);
+  assert.equal(va.residual.passes, true);
+  assert.deepEqual(va.assumptions, []);
+
+  const { snapshot } = withVaLoan(s);
+  assert.equal(snapshot.pmi, 0);
+  assert.equal(snapshot.loanAmount, 306450);
+  assert.equal(snapshot.housing, va.housing);
+});
+
+test("fee paid in cash, maintenance by square feet, defaults noted", () => {
+  const va = vaLoan({ income: 5000, expenses: 2200, price: 250000, dpAmt: 12500, apr: 6, termYears: 30, tihoa: 400, va: { financeFee: false, squareFeet: 2000 } });
+  assert.equal(va.fundingFee.pct, 1.5);
+  assert.equal(va.fundingFee.amount, 3562.5);
+  assert.equal(va.loanAmount, 237500);
+  assert.equal(va.cashToClose, 16062.5);
+  assert.equal(va.residual.maintenance, 280);
+  assert.equal(va.residual.guideline, 441);
+  assert.deepEqual(va.assumptions, ["use", "region", "familySize"]);
+});
+
+test("not a VA purchase, or unpriced: the snapshot is left alone", () => {
+  const plain = { income: 6000, price: 200000 };
+  assert.deepEqual(withVaLoan(plain), { snapshot: plain, va: null });
+  const unpriced = { income: 6000, housing: 1800, va: {} };
+  assert.equal(withVaLoan(unpriced).snapshot, unpriced);
+  assert.equal(withVaLoan(unpriced).va.housing, 1800);
+});
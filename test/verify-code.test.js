@@ -0,0 +1,123 @@
+// test/verify-code.test.js
+//
+// PURPOSE:
+// - Drive verify-code.js against the in-memory auth store: a good code
+//   signs in once, wrong codes lock the row after CODE_MAX_ATTEMPTS (also
+//   when the guesses arrive in parallel), expired codes are rejected, and
+//   the per-email / per-IP throttles answer 429 with retryAfter
+// - Codes are seeded straight into the store the way send-code.js writes them
+// - Run:  npm test
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_STORE = "memory";
+process.env.SESSION_SECRET = "x".repeat(40);
+
+const require = createRequire(import.meta.url);
+const { handler } = require("../netlify/functions/verify-code.js");
+const { createMemoryStore, resetMemoryStore } = require("../netlify/functions/lib/store/memory.js");
+const { CONFIG, hashCode } = require("../netlify/functions/lib/otp.js");
+
+const EMAIL = "jane.doe@example.com";
+const CODE = "123456";
+
+async function seedCode({ email = EMAIL, code = CODE, expiresInMs = 10 * 60 * 1000 } = {}) {
+  const now = Date.now();
+  await createMemoryStore().codes.replace(email, {
+    email,
+    code_hash: hashCode(code),
+    attempts: 0,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + expiresInMs).toISOString(),
+    link_hash: null,
+    context: { rank: "SSG", lastName: "Doe" },
+  });
+}
+
+async function verify(body, ip = "203.0.113.7") {
+  const res = await handler({
+    httpMethod: "POST",
+    headers: { "x-forwarded-for": ip },
+    body: JSON.stringify(body),
+  });
+  return { status: res.statusCode, body: JSON.parse(res.body) };
+}
+
+test.beforeEach(() => resetMemoryStore());
+
+test("the right code signs in once and consumes the row", async () => {
+  await seedCode();
+  const ok = await verify({ email: EMAIL, code: CODE });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.ok, true);
+  assert.equal(ok.body.profile.email, EMAIL);
+  assert.equal(ok.body.profile.rank, "SSG");
+  assert.ok(ok.body.session.token && ok.body.session.refreshToken);
+
+  const again = await verify({ email: EMAIL, code: CODE });
+  assert.equal(again.status, 400);
+  assert.equal(again.body.code, "invalid");
+});
+
+test("wrong codes count down, then lock the row even for the right code", async () => {
+  assert.equal(CONFIG.maxAttempts, 5);
+  await seedCode();
+  for (const remaining of [4, 3, 2, 1]) {
+    const r = await verify({ email: EMAIL, code: "000000" });
+    assert.deepEqual([r.body.code, r.body.attemptsRemaining], ["invalid", remaining]);
+  }
+  assert.equal((await verify({ email: EMAIL, code: "000000" })).body.code, "locked");
+  const right = await verify({ email: EMAIL, code: CODE });
+  assert.equal(right.status, 400);
+  assert.equal(right.body.code, "locked");
+});
+
+test("parallel guesses can't get past the attempt limit", async () => {
+  await seedCode();
+  const guesses = ["000001", "000002", "000003", "000004", "000005", "000006", "000007", CODE];
+  const results = await Promise.all(guesses.map((code) => verify({ email: EMAIL, code })));
+  const codes = results.map((r) => r.body.code);
+  // five attempts are claimed in arrival order; the last of those five and
+  // everything after it (the right code included) reports locked
+  assert.deepEqual(codes, ["invalid", "invalid", "invalid", "invalid", "locked", "locked", "locked", "locked"]);
+  // every request claimed its own attempt: none was lost to a parallel write
+  assert.equal((await createMemoryStore().codes.latest(EMAIL)).attempts, 8);
+});
+
+test("an expired code is rejected", async () => {
+  await seedCode({ expiresInMs: -1000 });
+  const r = await verify({ email: EMAIL, code: CODE });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.code, "expired");
+});
+
+test("per-email throttle: 429 with retryAfter across resent codes", async () => {
+  for (let i = 0; i < 10; i++) {
+    if (i % 4 === 0) await seedCode(); // a resend resets attempts, not the throttle
+    const r = await verify({ email: EMAIL, code: "000000" }, `198.51.100.${i}`);
+    assert.equal(r.status, 400);
+  }
+  const r = await verify({ email: EMAIL, code: CODE }, "198.51.100.99");
+  assert.equal(r.status, 429);
+  assert.deepEqual([r.body.code, r.body.retryAfter], ["throttled", 900]);
+});
+
+test("per-IP throttle: 429 once one address has guessed 30 times", async () => {
+  for (let i = 0; i < 30; i++) {
+    const r = await verify({ email: `user${i}@example.com`, code: "000000" });
+    assert.equal(r.body.code, "invalid");
+  }
+  const r = await verify({ email: "user99@example.com", code: "000000" });
+  assert.equal(r.status, 429);
+  assert.deepEqual([r.body.code, r.body.retryAfter], ["throttled", 900]);
+});
+
+test("malformed requests are rejected before the store is touched", async () => {
+  assert.equal((await verify({ email: EMAIL, code: "12345" })).status, 400);
+  const res = await handler({ httpMethod: "POST", headers: {}, body: "[1]" });
+  assert.equal(res.statusCode, 400);
+  assert.equal(JSON.parse(res.body).error, "Invalid JSON body");
+});